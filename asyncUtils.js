@@ -1,5 +1,7 @@
 // Promise and async utilities
 
+const EventEmitter = require('./eventEmitter');
+
 class PromisePool {
   constructor(concurrency = 3) {
     this.concurrency = concurrency;
@@ -115,35 +117,69 @@ class AsyncQueue {
 }
 
 class RetryPolicy {
-  constructor(maxRetries = 3, delay = 1000, backoff = 2) {
+  constructor(maxRetries = 3, delay = 1000, backoff = 2, options = {}) {
     this.maxRetries = maxRetries;
     this.delay = delay;
     this.backoff = backoff;
+    this.maxDelay = options.maxDelay || Infinity;
+    this.jitter = options.jitter || 0;
+    this.shouldRetry = options.shouldRetry || (() => true);
+    this.shouldRetryResult = options.shouldRetryResult || (() => false);
+    this.getDelay = options.getDelay || null;
+    this.onRetry = options.onRetry || null;
   }
 
   /**
-   * Executes function with retry
+   * Executes function with retry, passing the attempt number (1-based)
    */
   async execute(fn) {
     let lastError;
     let currentDelay = this.delay;
 
     for (let i = 0; i <= this.maxRetries; i++) {
+      const canRetry = i < this.maxRetries;
+      let outcome;
+
       try {
-        return await Promise.resolve(fn());
+        const result = await Promise.resolve(fn(i + 1));
+        if (!canRetry || !this.shouldRetryResult(result, i + 1)) {
+          return result;
+        }
+        outcome = { result };
       } catch (error) {
         lastError = error;
-
-        if (i < this.maxRetries) {
-          await this._sleep(currentDelay);
-          currentDelay *= this.backoff;
+        if (!canRetry || !this.shouldRetry(error, i + 1)) {
+          throw error;
         }
+        outcome = { error };
+      }
+
+      const wait = this._nextDelay(currentDelay, outcome);
+      if (this.onRetry) {
+        this.onRetry({ attempt: i + 1, delay: wait, ...outcome });
       }
+      await this._sleep(wait);
+      currentDelay *= this.backoff;
     }
 
     throw lastError;
   }
 
+  /**
+   * Computes delay before next attempt, applying cap and jitter
+   * (custom delays such as Retry-After are capped but not jittered)
+   */
+  _nextDelay(currentDelay, outcome) {
+    if (this.getDelay) {
+      const custom = this.getDelay(outcome, currentDelay);
+      if (custom != null) return Math.min(custom, this.maxDelay);
+    }
+
+    const capped = Math.min(currentDelay, this.maxDelay);
+    const spread = capped * this.jitter;
+    return Math.max(0, Math.round(capped - spread + Math.random() * spread * 2));
+  }
+
   /**
    * Sleeps for duration
    */
@@ -152,6 +188,171 @@ class RetryPolicy {
   }
 }
 
+class CircuitBreakerOpenError extends Error {
+  constructor(message = 'Circuit breaker is open') {
+    super(message);
+    this.name = 'CircuitBreakerOpenError';
+  }
+}
+
+class CircuitBreaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 0.5;
+    this.minimumRequests = options.minimumRequests || 10;
+    this.windowMs = options.windowMs || 10000;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenRequests = options.halfOpenRequests || 1;
+    this.fallback = options.fallback || null;
+    this.isFailure = options.isFailure || (() => true);
+    this.isFailureResult = options.isFailureResult || (() => false);
+    this.state = CircuitBreaker.STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trials = 0;
+  }
+
+  static STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+  };
+
+  /**
+   * Executes function through the breaker
+   */
+  async execute(fn, ...args) {
+    if (this.state === CircuitBreaker.STATES.OPEN &&
+      Date.now() - this.openedAt >= this.resetTimeout) {
+      this._transition(CircuitBreaker.STATES.HALF_OPEN);
+    }
+
+    const halfOpen = this.state === CircuitBreaker.STATES.HALF_OPEN;
+    if (this.state === CircuitBreaker.STATES.OPEN || (halfOpen && this.trials >= this.halfOpenRequests)) {
+      const error = new CircuitBreakerOpenError();
+      this.emit('reject', error);
+      return this._fallback(error, args);
+    }
+
+    if (halfOpen) this.trials++;
+
+    try {
+      const result = await Promise.resolve(fn(...args));
+      this._record(!this.isFailureResult(result));
+      return result;
+    } catch (error) {
+      if (!this.isFailure(error)) throw error;
+      this._record(false);
+      return this._fallback(error, args);
+    } finally {
+      if (halfOpen) this.trials--;
+    }
+  }
+
+  /**
+   * Wraps function so every call goes through the breaker
+   */
+  wrap(fn) {
+    return (...args) => this.execute(fn, ...args);
+  }
+
+  /**
+   * Gets current state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Gets rolling window statistics
+   */
+  getStats() {
+    this._prune();
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+    return {
+      state: this.state,
+      requests: this.outcomes.length,
+      failures,
+      failureRate: this.outcomes.length > 0 ? failures / this.outcomes.length : 0
+    };
+  }
+
+  /**
+   * Forces breaker open
+   */
+  open() {
+    this._transition(CircuitBreaker.STATES.OPEN);
+    return this;
+  }
+
+  /**
+   * Closes breaker and clears window
+   */
+  reset() {
+    this._transition(CircuitBreaker.STATES.CLOSED);
+    return this;
+  }
+
+  /**
+   * Records call outcome and updates state
+   */
+  _record(success) {
+    this.emit(success ? 'success' : 'failure');
+
+    if (this.state === CircuitBreaker.STATES.HALF_OPEN) {
+      this._transition(success ? CircuitBreaker.STATES.CLOSED : CircuitBreaker.STATES.OPEN);
+      return;
+    }
+
+    this.outcomes.push({ success, timestamp: Date.now() });
+    const stats = this.getStats();
+
+    if (this.state === CircuitBreaker.STATES.CLOSED &&
+      stats.requests >= this.minimumRequests &&
+      stats.failureRate >= this.failureThreshold) {
+      this._transition(CircuitBreaker.STATES.OPEN);
+    }
+  }
+
+  /**
+   * Calls fallback or rethrows
+   */
+  async _fallback(error, args) {
+    if (!this.fallback) throw error;
+    this.emit('fallback', error);
+    return this.fallback(error, ...args);
+  }
+
+  /**
+   * Drops outcomes outside rolling window
+   */
+  _prune() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].timestamp < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Changes state and emits events
+   */
+  _transition(state) {
+    const from = this.state;
+    if (state === CircuitBreaker.STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (state === CircuitBreaker.STATES.CLOSED) {
+      this.outcomes = [];
+      this.openedAt = null;
+    }
+    if (from === state) return;
+
+    this.state = state;
+    this.emit('stateChange', { from, to: state });
+    this.emit(state);
+  }
+}
+
 class Timeout {
   /**
    * Creates promise with timeout
@@ -261,6 +462,8 @@ module.exports = {
   Deferred,
   AsyncQueue,
   RetryPolicy,
+  CircuitBreaker,
+  CircuitBreakerOpenError,
   Timeout,
   CachePromise,
   AsyncIterator
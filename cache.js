@@ -57,6 +57,13 @@ class Cache {
     return entry.value;
   }
 
+  /**
+   * Gets value without touching LRU order or hit/miss stats
+   */
+  peek(key) {
+    return this.has(key) ? this.entries.get(key).value : undefined;
+  }
+
   /**
    * Sets value in cache
    */
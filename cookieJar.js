@@ -0,0 +1,296 @@
+// Cookie jar for HttpClient sessions
+
+class Cookie {
+  constructor(name, value, options = {}) {
+    this.name = name;
+    this.value = value;
+    this.domain = options.domain || null;
+    this.path = options.path || '/';
+    this.expires = options.expires ? new Date(options.expires) : null;
+    this.secure = options.secure || false;
+    this.httpOnly = options.httpOnly || false;
+    this.sameSite = options.sameSite || null;
+    this.hostOnly = options.hostOnly !== undefined ? options.hostOnly : true;
+    this.createdAt = options.createdAt || Date.now();
+  }
+
+  /**
+   * Common public suffixes that can't carry cookies; pass a full
+   * public-suffix-list check to CookieJar as isPublicSuffix for more
+   */
+  static PUBLIC_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.za',
+    'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.tw', 'com.sg', 'com.hk',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'appspot.com', 'blogspot.com',
+    'cloudfront.net', 'azurewebsites.net', 'netlify.app', 'vercel.app',
+    'pages.dev', 'workers.dev', 'web.app', 'firebaseapp.com'
+  ]);
+
+  /**
+   * Checks domain against the built-in public suffixes
+   */
+  static isPublicSuffix(domain) {
+    return Cookie.PUBLIC_SUFFIXES.has(domain);
+  }
+
+  /**
+   * Parses Set-Cookie header value for request URL
+   *
+   * A Domain attribute naming a top-level domain or public suffix is
+   * ignored, leaving the cookie host-only.
+   */
+  static parse(header, requestUrl, options = {}) {
+    const isPublicSuffix = options.isPublicSuffix || Cookie.isPublicSuffix;
+    const url = new URL(requestUrl);
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+
+    const cookie = new Cookie(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim(), {
+      domain: url.hostname.toLowerCase(),
+      path: Cookie.defaultPath(url.pathname)
+    });
+    let maxAge = null;
+
+    for (const attribute of attributes) {
+      const index = attribute.indexOf('=');
+      const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+      const value = index === -1 ? '' : attribute.slice(index + 1).trim();
+
+      switch (key) {
+        case 'domain': {
+          const domain = value.replace(/^\./, '').toLowerCase();
+          if (!domain) break;
+          if (!Cookie.domainMatches(url.hostname.toLowerCase(), domain)) return null;
+          if (!domain.includes('.') || isPublicSuffix(domain)) break;
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+          break;
+        }
+        case 'path':
+          if (value.startsWith('/')) cookie.path = value;
+          break;
+        case 'expires': {
+          const date = Date.parse(value);
+          if (!Number.isNaN(date)) cookie.expires = new Date(date);
+          break;
+        }
+        case 'max-age':
+          if (/^-?\d+$/.test(value)) maxAge = Number(value);
+          break;
+        case 'secure':
+          cookie.secure = true;
+          break;
+        case 'httponly':
+          cookie.httpOnly = true;
+          break;
+        case 'samesite':
+          cookie.sameSite = value;
+          break;
+        default:
+          break;
+      }
+    }
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+      cookie.expires = new Date(Date.now() + maxAge * 1000);
+    }
+
+    return cookie;
+  }
+
+  /**
+   * Gets default cookie path for request path
+   */
+  static defaultPath(pathname) {
+    if (!pathname || !pathname.startsWith('/')) return '/';
+    const index = pathname.lastIndexOf('/');
+    return index <= 0 ? '/' : pathname.slice(0, index);
+  }
+
+  /**
+   * Checks if host matches cookie domain
+   */
+  static domainMatches(host, domain) {
+    return host === domain || (host.endsWith(`.${domain}`) && !/^[\d.]+$/.test(host));
+  }
+
+  /**
+   * Checks if request path matches cookie path
+   */
+  static pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+  }
+
+  /**
+   * Checks if cookie has expired
+   */
+  isExpired(now = Date.now()) {
+    return this.expires !== null && this.expires.getTime() <= now;
+  }
+
+  /**
+   * Checks if cookie should be sent to URL
+   */
+  matches(url) {
+    const host = url.hostname.toLowerCase();
+    const domainOk = this.hostOnly ? host === this.domain : Cookie.domainMatches(host, this.domain);
+    if (!domainOk) return false;
+    if (this.secure && url.protocol !== 'https:') return false;
+    return Cookie.pathMatches(url.pathname || '/', this.path);
+  }
+
+  /**
+   * Gets storage key
+   */
+  key() {
+    return `${this.domain};${this.path};${this.name}`;
+  }
+
+  /**
+   * Converts to plain object
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      value: this.value,
+      domain: this.domain,
+      path: this.path,
+      expires: this.expires ? this.expires.toISOString() : null,
+      secure: this.secure,
+      httpOnly: this.httpOnly,
+      sameSite: this.sameSite,
+      hostOnly: this.hostOnly,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+class CookieJar {
+  constructor(options = {}) {
+    this.cookies = new Map();
+    this.isPublicSuffix = options.isPublicSuffix || Cookie.isPublicSuffix;
+  }
+
+  /**
+   * Stores cookie from Set-Cookie header
+   */
+  setCookie(header, url) {
+    const cookie = header instanceof Cookie
+      ? header
+      : Cookie.parse(header, url, { isPublicSuffix: this.isPublicSuffix });
+    if (!cookie) return null;
+
+    const existing = this.cookies.get(cookie.key());
+    if (existing) {
+      cookie.createdAt = existing.createdAt;
+    }
+
+    if (cookie.isExpired()) {
+      this.cookies.delete(cookie.key());
+      return null;
+    }
+
+    this.cookies.set(cookie.key(), cookie);
+    return cookie;
+  }
+
+  /**
+   * Stores cookies from one or more Set-Cookie headers
+   */
+  setCookies(headers, url) {
+    if (!headers) return this;
+    const list = Array.isArray(headers) ? headers : [headers];
+    list.forEach(header => this.setCookie(header, url));
+    return this;
+  }
+
+  /**
+   * Gets cookies to send to URL, longest path first
+   */
+  getCookies(url) {
+    const target = new URL(url);
+    const now = Date.now();
+    const result = [];
+
+    for (const [key, cookie] of this.cookies) {
+      if (cookie.isExpired(now)) {
+        this.cookies.delete(key);
+      } else if (cookie.matches(target)) {
+        result.push(cookie);
+      }
+    }
+
+    return result.sort((a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Gets Cookie header value for URL
+   */
+  getCookieHeader(url) {
+    return this.getCookies(url)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Removes cookie by name, optionally limited to domain and path
+   */
+  removeCookie(name, domain = null, path = null) {
+    for (const [key, cookie] of this.cookies) {
+      if (cookie.name === name &&
+        (domain === null || cookie.domain === domain) &&
+        (path === null || cookie.path === path)) {
+        this.cookies.delete(key);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Gets all stored cookies
+   */
+  all() {
+    return Array.from(this.cookies.values());
+  }
+
+  /**
+   * Clears all cookies
+   */
+  clear() {
+    this.cookies.clear();
+    return this;
+  }
+
+  /**
+   * Gets jar as serializable object
+   */
+  toJSON() {
+    return {
+      cookies: this.all()
+        .filter(cookie => !cookie.isExpired())
+        .map(cookie => cookie.toJSON())
+    };
+  }
+
+  /**
+   * Restores jar from toJSON output or its JSON string
+   */
+  static fromJSON(json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const jar = new CookieJar(options);
+
+    (data.cookies || []).forEach(item => {
+      jar.setCookie(new Cookie(item.name, item.value, item));
+    });
+
+    return jar;
+  }
+}
+
+module.exports = { CookieJar, Cookie };
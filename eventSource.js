@@ -0,0 +1,238 @@
+// Server-Sent Events client on top of HttpClient
+
+const { StringDecoder } = require('string_decoder');
+const EventEmitter = require('./eventEmitter');
+
+/**
+ * Incremental parser for the text/event-stream format
+ */
+class EventStreamParser {
+  constructor(onEvent, onRetry = null, lastEventId = '') {
+    this.onEvent = onEvent;
+    this.onRetry = onRetry;
+    this.buffer = '';
+    this.lastEventId = lastEventId;
+    this._resetEvent();
+  }
+
+  /**
+   * Feeds decoded text into parser
+   */
+  feed(text) {
+    this.buffer += text;
+
+    let match;
+    const lineBreak = /\r\n|\r|\n/;
+    while ((match = lineBreak.exec(this.buffer)) !== null) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (match[0] === '\r' && match.index === this.buffer.length - 1) break;
+
+      const line = this.buffer.slice(0, match.index);
+      this.buffer = this.buffer.slice(match.index + match[0].length);
+      this._processLine(line);
+    }
+  }
+
+  /**
+   * Processes a single line
+   */
+  _processLine(line) {
+    if (line === '') {
+      this._dispatch();
+      return;
+    }
+
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'data':
+        this.data.push(value);
+        break;
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) this.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value) && this.onRetry) this.onRetry(Number(value));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Dispatches buffered event
+   */
+  _dispatch() {
+    if (this.data.length === 0) {
+      this._resetEvent();
+      return;
+    }
+
+    const event = {
+      type: this.eventType || 'message',
+      data: this.data.join('\n'),
+      lastEventId: this.lastEventId
+    };
+
+    this._resetEvent();
+    this.onEvent(event);
+  }
+
+  /**
+   * Resets per-event state
+   */
+  _resetEvent() {
+    this.data = [];
+    this.eventType = '';
+  }
+}
+
+class EventSource extends EventEmitter {
+  constructor(client, url, options = {}) {
+    super();
+    this.client = client;
+    this.url = url;
+    this.options = options;
+    this.readyState = EventSource.CONNECTING;
+    this.lastEventId = options.lastEventId || '';
+    this.reconnectDelay = options.reconnectDelay || 3000;
+    this.maxReconnects = options.maxReconnects !== undefined ? options.maxReconnects : Infinity;
+    this.reconnects = 0;
+    this.controller = null;
+    this.reconnectTimer = null;
+  }
+
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 2;
+
+  /**
+   * Opens the connection
+   */
+  connect() {
+    if (this.readyState === EventSource.CLOSED) return this;
+
+    this.readyState = EventSource.CONNECTING;
+    this._open().catch(error => this._handleDisconnect(error));
+    return this;
+  }
+
+  /**
+   * Closes the connection and stops reconnecting
+   */
+  close() {
+    if (this.readyState === EventSource.CLOSED) return this;
+
+    this.readyState = EventSource.CLOSED;
+    clearTimeout(this.reconnectTimer);
+    if (this.controller) {
+      this.controller.abort();
+    }
+    this.emit('close');
+    return this;
+  }
+
+  /**
+   * Sends request and consumes the event stream
+   */
+  async _open() {
+    this.controller = new AbortController();
+
+    const headers = {
+      ...this.options.headers,
+      Accept: 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    };
+    if (this.lastEventId) {
+      headers['Last-Event-ID'] = this.lastEventId;
+    }
+
+    const response = await this.client.request(this.url, {
+      ...this.options.requestOptions,
+      method: 'GET',
+      headers,
+      responseType: 'stream',
+      signal: this.controller.signal,
+      retry: false,
+      cache: false,
+      dedupe: false
+    });
+
+    if (response.status === 204) {
+      response.data.destroy();
+      this.close();
+      return;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.toLowerCase().startsWith('text/event-stream')) {
+      response.data.destroy();
+      this.emit('error', new Error(`Unexpected content type: ${contentType || 'none'}`));
+      this.close();
+      return;
+    }
+
+    this.readyState = EventSource.OPEN;
+    this.reconnects = 0;
+    this.emit('open', response);
+
+    const decoder = new StringDecoder('utf8');
+    const parser = new EventStreamParser(
+      event => this._handleEvent(event),
+      delay => { this.reconnectDelay = delay; },
+      this.lastEventId
+    );
+
+    for await (const chunk of response.data) {
+      parser.feed(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    }
+    parser.feed(decoder.end());
+
+    this._handleDisconnect(null);
+  }
+
+  /**
+   * Emits parsed event
+   */
+  _handleEvent(event) {
+    this.lastEventId = event.lastEventId;
+    this.emit(event.type, event);
+  }
+
+  /**
+   * Schedules reconnect after stream ends or fails
+   */
+  _handleDisconnect(error) {
+    if (this.readyState === EventSource.CLOSED) return;
+
+    if (error) {
+      this.emit('error', error);
+
+      // Client errors (4xx) are not retried
+      if (error.status >= 400 && error.status < 500) {
+        this.close();
+        return;
+      }
+    }
+
+    if (this.reconnects >= this.maxReconnects) {
+      this.close();
+      return;
+    }
+
+    this.reconnects++;
+    this.readyState = EventSource.CONNECTING;
+    this.emit('reconnecting', { attempt: this.reconnects, delay: this.reconnectDelay });
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+  }
+}
+
+module.exports = { EventSource, EventStreamParser };
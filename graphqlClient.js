@@ -0,0 +1,273 @@
+// GraphQL client on top of HttpClient
+
+const crypto = require('crypto');
+const { HttpClient, HttpError } = require('./httpClient');
+
+class GraphQLError extends Error {
+  constructor(errors, details = {}) {
+    super(errors.map(error => error.message).join('; ') || 'GraphQL request failed');
+    this.name = 'GraphQLError';
+    this.errors = errors;
+    this.data = details.data || null;
+    this.operationName = details.operationName || null;
+    this.response = details.response || null;
+  }
+}
+
+class GraphQLClient {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.client = options.client || new HttpClient();
+    this.headers = options.headers || {};
+    this.persistedQueries = options.persistedQueries || false;
+    this.batching = options.batch
+      ? { maxSize: 10, interval: 0, ...(options.batch === true ? {} : options.batch) }
+      : null;
+    this.queues = new Map();
+    this.hashes = new Map();
+    this.optionIds = new WeakMap();
+    this.nextOptionId = 0;
+  }
+
+  /**
+   * Sends query
+   */
+  query(query, variables = {}, options = {}) {
+    return this.request(query, variables, options);
+  }
+
+  /**
+   * Sends mutation
+   */
+  mutate(mutation, variables = {}, options = {}) {
+    return this.request(mutation, variables, options);
+  }
+
+  /**
+   * Sends operation and resolves with its data
+   */
+  request(query, variables = {}, options = {}) {
+    const operation = {
+      query,
+      variables,
+      operationName: options.operationName || GraphQLClient.getOperationName(query)
+    };
+
+    if (this.batching && options.batch !== false) {
+      return this._enqueue(operation, options);
+    }
+    return this._sendSingle(operation, options);
+  }
+
+  /**
+   * Extracts first operation name from document
+   */
+  static getOperationName(query) {
+    const match = /\b(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(query);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Sends single operation, registering persisted query on demand
+   */
+  async _sendSingle(operation, options) {
+    let result = await this._post(this._toPayload(operation, this.persistedQueries), options, operation);
+
+    if (this.persistedQueries && GraphQLClient.isPersistedQueryNotFound(result.body)) {
+      result = await this._post(this._toPayload(operation, false, true), options, operation);
+    }
+
+    return this._unwrap(result.body, result.response, operation);
+  }
+
+  /**
+   * Queues operation for the next batch; only operations sent with
+   * the same options (headers, signal, ...) share a batch
+   */
+  _enqueue(operation, options) {
+    return new Promise((resolve, reject) => {
+      const key = this._getBatchKey(options);
+      if (!this.queues.has(key)) {
+        this.queues.set(key, { items: [], timer: null });
+      }
+
+      const queue = this.queues.get(key);
+      queue.items.push({ operation, options, resolve, reject });
+
+      if (queue.items.length >= this.batching.maxSize) {
+        this._flush(key);
+      } else if (!queue.timer) {
+        queue.timer = setTimeout(() => this._flush(key), this.batching.interval);
+      }
+    });
+  }
+
+  /**
+   * Builds batch key from request options; objects such as signals
+   * and callbacks are compared by identity
+   */
+  _getBatchKey(options) {
+    const { operationName, batch, ...rest } = options;
+
+    return JSON.stringify(rest, (key, value) => {
+      const isObject = value !== null && (typeof value === 'object' || typeof value === 'function');
+      const isPlain = Array.isArray(value) || (isObject && Object.getPrototypeOf(value) === Object.prototype);
+      if (!isObject || isPlain) return value;
+
+      if (!this.optionIds.has(value)) {
+        this.optionIds.set(value, ++this.nextOptionId);
+      }
+      return `#ref${this.optionIds.get(value)}`;
+    });
+  }
+
+  /**
+   * Sends queued operations as a single batched request
+   */
+  async _flush(key) {
+    const queue = this.queues.get(key);
+    if (!queue) return;
+
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    const items = queue.items.splice(0, this.batching.maxSize);
+    if (queue.items.length > 0) {
+      queue.timer = setTimeout(() => this._flush(key), this.batching.interval);
+    } else {
+      this.queues.delete(key);
+    }
+    if (items.length === 0) return;
+
+    // Every queued item in this batch was sent with equal options
+    const options = items[0].options;
+    const payload = items.map(item => this._toPayload(item.operation, this.persistedQueries));
+
+    let result;
+    try {
+      result = await this._post(payload, options, null);
+    } catch (error) {
+      items.forEach(item => item.reject(error));
+      return;
+    }
+
+    const bodies = Array.isArray(result.body) ? result.body : [];
+
+    items.forEach((item, i) => {
+      const body = bodies[i];
+
+      if (body === undefined) {
+        item.reject(new GraphQLError([{ message: 'Missing result in batched response' }], {
+          operationName: item.operation.operationName,
+          response: result.response
+        }));
+        return;
+      }
+
+      if (this.persistedQueries && GraphQLClient.isPersistedQueryNotFound(body)) {
+        this._post(this._toPayload(item.operation, false, true), item.options, item.operation)
+          .then(retry => item.resolve(this._unwrap(retry.body, retry.response, item.operation)))
+          .catch(item.reject);
+        return;
+      }
+
+      try {
+        item.resolve(this._unwrap(body, result.response, item.operation));
+      } catch (error) {
+        item.reject(error);
+      }
+    });
+  }
+
+  /**
+   * Posts payload, turning HTTP errors with GraphQL bodies into results
+   */
+  async _post(payload, options, operation) {
+    try {
+      const response = await this.client.post(this.url, payload, {
+        ...options,
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          ...this.headers,
+          ...options.headers
+        }
+      });
+      return { body: response.data, response };
+    } catch (error) {
+      const body = error instanceof HttpError && error.response ? error.response.data : null;
+      if (body && (Array.isArray(body) || Array.isArray(body.errors))) {
+        return { body, response: error.response };
+      }
+      if (error instanceof HttpError && operation) {
+        error.operationName = operation.operationName;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Builds request payload, optionally as automatic persisted query
+   */
+  _toPayload(operation, hashOnly, register = false) {
+    const payload = {
+      variables: operation.variables,
+      operationName: operation.operationName
+    };
+
+    if (hashOnly || register) {
+      payload.extensions = {
+        persistedQuery: { version: 1, sha256Hash: this._hash(operation.query) }
+      };
+    }
+    if (!hashOnly) {
+      payload.query = operation.query;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Gets sha256 hash of query, caching it
+   */
+  _hash(query) {
+    if (!this.hashes.has(query)) {
+      this.hashes.set(query, crypto.createHash('sha256').update(query).digest('hex'));
+    }
+    return this.hashes.get(query);
+  }
+
+  /**
+   * Returns data or throws GraphQLError for errors array
+   */
+  _unwrap(body, response, operation) {
+    if (!body || typeof body !== 'object') {
+      throw new GraphQLError([{ message: 'Invalid GraphQL response' }], {
+        operationName: operation.operationName,
+        response
+      });
+    }
+
+    if (Array.isArray(body.errors) && body.errors.length > 0) {
+      throw new GraphQLError(body.errors, {
+        data: body.data,
+        operationName: operation.operationName,
+        response
+      });
+    }
+
+    return body.data;
+  }
+
+  /**
+   * Checks if server asked for the full query text
+   */
+  static isPersistedQueryNotFound(body) {
+    return Boolean(body && Array.isArray(body.errors) && body.errors.some(error =>
+      error.message === 'PersistedQueryNotFound' ||
+      (error.extensions && error.extensions.code === 'PERSISTED_QUERY_NOT_FOUND')
+    ));
+  }
+}
+
+module.exports = { GraphQLClient, GraphQLError };
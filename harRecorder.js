@@ -0,0 +1,411 @@
+// HAR 1.2 recording and replay for HttpClient
+
+const fs = require('fs');
+const { Readable, Transform, pipeline } = require('stream');
+const { HttpResponse } = require('./httpClient');
+const { isStream, isBinary, getHeader } = require('./httpBody');
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Converts header object to HAR name/value list
+ * @param {Object} headers - Headers
+ * @param {Array} redact - Lower-cased names whose values are replaced
+ * @returns {Array} HAR headers
+ */
+function toHarHeaders(headers = {}, redact = []) {
+  const result = [];
+  Object.keys(headers).forEach(name => {
+    const values = Array.isArray(headers[name]) ? headers[name] : [headers[name]];
+    const hidden = redact.includes(name.toLowerCase());
+    values.forEach(value => result.push({ name, value: hidden ? REDACTED : String(value) }));
+  });
+  return result;
+}
+
+/**
+ * Converts HAR name/value list to lower-cased header object
+ * @param {Array} headers - HAR headers
+ * @returns {Object} Headers
+ */
+function fromHarHeaders(headers = []) {
+  return headers.reduce((result, { name, value }) => {
+    const key = name.toLowerCase();
+    if (key === 'set-cookie') {
+      result[key] = (result[key] || []).concat(value);
+    } else {
+      result[key] = result[key] !== undefined ? `${result[key]}, ${value}` : value;
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Encodes body as HAR text, using base64 for binary data
+ * @param {*} body - Body
+ * @returns {{ text: string, encoding: string|undefined, size: number }} HAR content fields
+ */
+function encodeBody(body) {
+  if (body === undefined || body === null) return { text: '', size: 0 };
+  if (isStream(body)) return { text: '', size: -1, comment: 'streamed body not recorded' };
+
+  if (isBinary(body)) {
+    const buffer = Buffer.from(body.buffer ? body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength) : body);
+    return { text: buffer.toString('base64'), encoding: 'base64', size: buffer.length };
+  }
+
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return { text, size: Buffer.byteLength(text) };
+}
+
+/**
+ * Checks if MIME type is recorded as plain text rather than base64
+ * @param {string} mimeType - Content type
+ * @returns {boolean} True for textual types
+ */
+function isTextMimeType(mimeType) {
+  return /^text\/|[/+](json|xml)\b|javascript|x-www-form-urlencoded/i.test(mimeType || '');
+}
+
+/**
+ * Gets HAR query string list, empty when URL can't be parsed
+ * @param {string} url - Request URL
+ * @returns {Array} HAR name/value pairs
+ */
+function toHarQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch {
+    // The adapter reports the invalid URL itself
+    return [];
+  }
+}
+
+class HarRecorder {
+  constructor(options = {}) {
+    this.entries = [];
+    this.redactHeaders = (options.redactHeaders || HarRecorder.REDACT_HEADERS).map(name => name.toLowerCase());
+    this.maxBodySize = options.maxBodySize !== undefined ? options.maxBodySize : 1024 * 1024;
+    this.creator = options.creator || { name: 'HttpClient', version: '1.0' };
+    this.client = null;
+    this.adapter = null;
+  }
+
+  static REDACT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+  /**
+   * Records every request the client sends through its adapter
+   */
+  attach(client) {
+    this.client = client;
+    this.adapter = client.adapter;
+    client.setAdapter(this.wrap(client.adapter));
+    return this;
+  }
+
+  /**
+   * Restores client's original adapter
+   */
+  detach() {
+    if (this.client) {
+      this.client.setAdapter(this.adapter);
+      this.client = null;
+      this.adapter = null;
+    }
+    return this;
+  }
+
+  /**
+   * Wraps adapter so its traffic is recorded
+   */
+  wrap(adapter) {
+    return {
+      send: async config => {
+        const started = new Date();
+        const start = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+        // Progress callbacks mark when the body was sent and the response
+        // started and finished arriving; adapters without them report wait only
+        const marks = { sent: null, firstByte: null };
+        const tracked = {
+          ...config,
+          onUploadProgress: event => {
+            marks.sent = elapsed();
+            if (config.onUploadProgress) config.onUploadProgress(event);
+          },
+          onDownloadProgress: event => {
+            if (marks.firstByte === null) marks.firstByte = elapsed();
+            if (config.onDownloadProgress) config.onDownloadProgress(event);
+          }
+        };
+
+        try {
+          const response = await (typeof adapter === 'function' ? adapter(tracked) : adapter.send(tracked));
+          const entry = this._record(config, response, null, started, this._timings(marks, elapsed()));
+
+          if (isStream(response.data)) {
+            response.data = this._captureStream(response.data, entry, () => {
+              entry.timings = this._timings(marks, elapsed());
+              entry.time = entry.timings.send + entry.timings.wait + entry.timings.receive;
+            });
+          }
+          return response;
+        } catch (error) {
+          this._record(config, null, error, started, this._timings(marks, elapsed()));
+          throw error;
+        }
+      }
+    };
+  }
+
+  /**
+   * Gets recording as HAR object
+   */
+  toHAR() {
+    return {
+      log: {
+        version: '1.2',
+        creator: this.creator,
+        pages: [],
+        entries: this.entries.slice()
+      }
+    };
+  }
+
+  /**
+   * Writes recording to HAR file
+   */
+  save(path) {
+    return fs.promises.writeFile(path, JSON.stringify(this.toHAR(), null, 2));
+  }
+
+  /**
+   * Clears recorded entries
+   */
+  clear() {
+    this.entries = [];
+    return this;
+  }
+
+  /**
+   * Passes streamed response body through, copying it into entry's content
+   * once it ends; bodies over maxBodySize are only sized
+   */
+  _captureStream(stream, entry, onEnd) {
+    const chunks = [];
+    let size = 0;
+
+    const capture = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size <= this.maxBodySize) {
+          chunks.push(chunk);
+        } else {
+          chunks.length = 0;
+        }
+        callback(null, chunk);
+      },
+      flush: callback => {
+        const { mimeType } = entry.response.content;
+        const content = { size, mimeType };
+
+        if (size > this.maxBodySize) {
+          content.text = '';
+          content.comment = `streamed body over ${this.maxBodySize} bytes not recorded`;
+        } else if (isTextMimeType(mimeType)) {
+          content.text = Buffer.concat(chunks).toString('utf8');
+        } else {
+          content.text = Buffer.concat(chunks).toString('base64');
+          content.encoding = 'base64';
+        }
+
+        entry.response.content = content;
+        entry.response.bodySize = size;
+        onEnd();
+        callback();
+      }
+    });
+
+    // Errors reach the consumer through capture; destroying capture stops the source
+    pipeline(stream, capture, () => {});
+    return capture;
+  }
+
+  /**
+   * Splits elapsed time into HAR send/wait/receive phases
+   */
+  _timings(marks, total) {
+    const send = marks.sent !== null ? marks.sent : 0;
+    const firstByte = marks.firstByte !== null ? Math.max(marks.firstByte, send) : total;
+
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send,
+      wait: firstByte - send,
+      receive: total - firstByte
+    };
+  }
+
+  /**
+   * Adds HAR entry for request and its outcome
+   */
+  _record(config, response, error, started, timings) {
+    const time = timings.send + timings.wait + timings.receive;
+    const headers = config.headers || {};
+    const requestType = getHeader(headers, 'content-type');
+    const requestBody = encodeBody(config.body);
+
+    const entry = {
+      startedDateTime: started.toISOString(),
+      time,
+      request: {
+        method: (config.method || 'GET').toUpperCase(),
+        url: config.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(headers, this.redactHeaders),
+        queryString: toHarQueryString(config.url),
+        headersSize: -1,
+        bodySize: requestBody.size
+      },
+      response: {
+        status: 0,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: 'x-unknown', text: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings
+    };
+
+    if (config.body !== undefined && config.body !== null) {
+      entry.request.postData = {
+        mimeType: requestType || 'application/octet-stream',
+        text: requestBody.text
+      };
+      if (requestBody.encoding) entry.request.postData.encoding = requestBody.encoding;
+    }
+
+    if (response) {
+      const content = encodeBody(response.data);
+      entry.response = {
+        ...entry.response,
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: toHarHeaders(response.headers, this.redactHeaders),
+        content: {
+          size: content.size,
+          mimeType: (response.headers && response.headers['content-type']) || 'x-unknown',
+          text: content.text,
+          ...(content.encoding ? { encoding: content.encoding } : {}),
+          ...(content.comment ? { comment: content.comment } : {})
+        },
+        redirectURL: (response.headers && response.headers.location) || '',
+        bodySize: content.size
+      };
+    }
+
+    if (error) {
+      entry.response._error = error.message;
+    }
+
+    this.entries.push(entry);
+    return entry;
+  }
+}
+
+/**
+ * Adapter serving responses recorded in a HAR file
+ */
+class HarReplayAdapter {
+  constructor(har, options = {}) {
+    const log = typeof har === 'string' ? JSON.parse(har).log : har.log;
+    this.entries = log.entries;
+    this.matchBody = options.matchBody || false;
+    this.fallback = options.fallback || null;
+    this.used = new Set();
+  }
+
+  /**
+   * Loads HAR file
+   */
+  static fromFile(path, options = {}) {
+    return new HarReplayAdapter(fs.readFileSync(path, 'utf8'), options);
+  }
+
+  /**
+   * Serves recorded response, using entries in recorded order
+   * and repeating the last match once all were used
+   */
+  async send(config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const body = encodeBody(config.body).text;
+
+    const candidates = this.entries.filter(entry =>
+      entry.request.method === method &&
+      entry.request.url === config.url &&
+      (!this.matchBody || ((entry.request.postData && entry.request.postData.text) || '') === body)
+    );
+
+    const entry = candidates.find(candidate => !this.used.has(candidate)) || candidates[candidates.length - 1];
+
+    if (!entry) {
+      if (this.fallback) {
+        return typeof this.fallback === 'function' ? this.fallback(config) : this.fallback.send(config);
+      }
+      throw new Error(`No HAR entry for ${method} ${config.url}`);
+    }
+
+    this.used.add(entry);
+
+    if (entry.response._error) {
+      throw new Error(entry.response._error);
+    }
+
+    const { status, statusText, headers, content } = entry.response;
+    const data = config.responseType === 'stream'
+      ? Readable.from(content && content.text ? [content.encoding === 'base64' ? Buffer.from(content.text, 'base64') : content.text] : [])
+      : this._decodeContent(content);
+
+    return new HttpResponse(status, statusText, fromHarHeaders(headers), data, config);
+  }
+
+  /**
+   * Decodes HAR content into response data
+   */
+  _decodeContent(content = {}) {
+    if (content.encoding === 'base64') {
+      return Buffer.from(content.text || '', 'base64');
+    }
+
+    const text = content.text || '';
+    if (/[/+]json\b/.test(content.mimeType || '')) {
+      if (!text) return null;
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Allows entries to be replayed from the start again
+   */
+  reset() {
+    this.used.clear();
+    return this;
+  }
+}
+
+module.exports = { HarRecorder, HarReplayAdapter };
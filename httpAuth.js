@@ -0,0 +1,181 @@
+// Authentication providers for HttpClient
+
+const { HttpClient } = require('./httpClient');
+const { getHeader, setHeader } = require('./httpBody');
+
+/**
+ * Sets header on config, replacing any differently-cased copy
+ */
+function withHeader(config, name, value) {
+  return { ...config, headers: setHeader(config.headers, name, value) };
+}
+
+/**
+ * HTTP Basic authentication
+ */
+class BasicAuth {
+  constructor(username, password = '') {
+    this.username = username;
+    this.password = password;
+  }
+
+  /**
+   * Adds Authorization header to requests
+   */
+  attach(client) {
+    const credentials = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+
+    client.addRequestInterceptor(config => {
+      if (config.skipAuth) return config;
+      return withHeader(config, 'Authorization', `Basic ${credentials}`);
+    });
+    return this;
+  }
+}
+
+/**
+ * API key sent in a header or query parameter
+ */
+class ApiKeyAuth {
+  constructor(key, options = {}) {
+    this.key = key;
+    this.location = options.in || 'header';
+    this.name = options.name || (this.location === 'query' ? 'api_key' : 'X-API-Key');
+  }
+
+  /**
+   * Adds API key to requests
+   */
+  attach(client) {
+    client.addRequestInterceptor(config => {
+      if (config.skipAuth) return config;
+
+      if (this.location === 'query') {
+        return { ...config, params: { ...config.params, [this.name]: this.key } };
+      }
+      return withHeader(config, this.name, this.key);
+    });
+    return this;
+  }
+}
+
+/**
+ * OAuth2 client-credentials and refresh-token flows
+ *
+ * The access token is cached until shortly before it expires. A 401
+ * triggers a single refresh that concurrent requests share, after which
+ * the failed request is sent once more.
+ */
+class OAuth2Auth {
+  constructor(options = {}) {
+    this.tokenUrl = options.tokenUrl;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scope = options.scope || null;
+    this.accessToken = options.accessToken || null;
+    this.refreshToken = options.refreshToken || null;
+    this.tokenType = 'Bearer';
+    this.expiresAt = options.expiresAt || null;
+    this.expiryMargin = options.expiryMargin !== undefined ? options.expiryMargin : 30000;
+    this.tokenClient = options.tokenClient || new HttpClient();
+    this.pendingRefresh = null;
+  }
+
+  /**
+   * Checks if cached token can still be used
+   */
+  hasValidToken() {
+    if (!this.accessToken) return false;
+    return !this.expiresAt || Date.now() < this.expiresAt - this.expiryMargin;
+  }
+
+  /**
+   * Gets access token, fetching a new one if needed
+   */
+  async getToken() {
+    if (this.hasValidToken()) return this.accessToken;
+    return this.refresh();
+  }
+
+  /**
+   * Fetches new token; concurrent callers share one request
+   */
+  refresh() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this._requestToken().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Adds bearer token to requests and refreshes once on 401
+   */
+  attach(client) {
+    client.addRequestInterceptor(async config => {
+      if (config.skipAuth) return config;
+      const token = await this.getToken();
+      return withHeader(config, 'Authorization', `${this.tokenType} ${token}`);
+    });
+
+    client.addErrorInterceptor(async error => {
+      const config = error.config;
+      if (error.status !== 401 || !config || config.skipAuth || config.authRetried) {
+        return error;
+      }
+
+      // Another request may already have replaced the rejected token
+      const sentToken = getHeader(config.headers, 'authorization') || null;
+      if (!this.pendingRefresh && sentToken === `${this.tokenType} ${this.accessToken}`) {
+        this.accessToken = null;
+      }
+
+      await this.getToken();
+      return client.resend(config, { authRetried: true });
+    });
+
+    return this;
+  }
+
+  /**
+   * Requests token from token endpoint
+   */
+  async _requestToken() {
+    const form = { client_id: this.clientId };
+    if (this.clientSecret) form.client_secret = this.clientSecret;
+
+    if (this.refreshToken) {
+      form.grant_type = 'refresh_token';
+      form.refresh_token = this.refreshToken;
+    } else {
+      form.grant_type = 'client_credentials';
+    }
+    if (this.scope) form.scope = this.scope;
+
+    const response = await this.tokenClient.post(this.tokenUrl, form, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      skipAuth: true
+    });
+
+    const { access_token, token_type, expires_in, refresh_token } = response.data || {};
+    if (!access_token) {
+      throw new Error('Token response did not include access_token');
+    }
+
+    this.accessToken = access_token;
+    this.tokenType = token_type && token_type.toLowerCase() === 'bearer' ? 'Bearer' : token_type || 'Bearer';
+    this.expiresAt = expires_in ? Date.now() + Number(expires_in) * 1000 : null;
+    if (refresh_token) {
+      this.refreshToken = refresh_token;
+    }
+
+    return this.accessToken;
+  }
+}
+
+module.exports = {
+  BasicAuth,
+  ApiKeyAuth,
+  OAuth2Auth
+};
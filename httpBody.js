@@ -0,0 +1,251 @@
+// Request body serialization and header helpers for HttpClient
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * Checks if value is a readable stream
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value can be piped
+ */
+function isStream(value) {
+  return value !== null && typeof value === 'object' && typeof value.pipe === 'function';
+}
+
+/**
+ * Finds header name case-insensitively
+ * @param {Object} headers - Headers
+ * @param {string} name - Header name in any case
+ * @returns {string|undefined} Name as it appears in headers
+ */
+function findHeader(headers, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(headers || {}).find(key => key.toLowerCase() === lower);
+}
+
+/**
+ * Gets header value case-insensitively
+ * @param {Object} headers - Headers
+ * @param {string} name - Header name in any case
+ * @returns {*} Header value or undefined
+ */
+function getHeader(headers, name) {
+  const match = findHeader(headers, name);
+  return match === undefined ? undefined : headers[match];
+}
+
+/**
+ * Sets header, replacing any differently-cased copy
+ * @param {Object} headers - Headers (not modified)
+ * @param {string} name - Header name
+ * @param {*} value - Header value
+ * @returns {Object} New headers object
+ */
+function setHeader(headers, name, value) {
+  const lower = name.toLowerCase();
+  const result = { ...headers };
+  Object.keys(result)
+    .filter(key => key.toLowerCase() === lower)
+    .forEach(key => delete result[key]);
+  result[name] = value;
+  return result;
+}
+
+/**
+ * Checks if value is raw binary data
+ * @param {*} value - Value to check
+ * @returns {boolean} True for Buffer, typed arrays and ArrayBuffer
+ */
+function isBinary(value) {
+  return Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+}
+
+/**
+ * Encodes object as application/x-www-form-urlencoded
+ * @param {Object|URLSearchParams} data - Fields to encode, arrays repeat the key
+ * @returns {string} Encoded form
+ */
+function encodeForm(data) {
+  if (data instanceof URLSearchParams) return data.toString();
+
+  const params = new URLSearchParams();
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    if (value === undefined || value === null) return;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(key, item));
+    } else {
+      params.append(key, value);
+    }
+  });
+  return params.toString();
+}
+
+/**
+ * Encodes values as newline-delimited JSON
+ * @param {Array|*} data - Records, one per line
+ * @returns {string} NDJSON text
+ */
+function encodeNDJSON(data) {
+  const records = Array.isArray(data) ? data : [data];
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+/**
+ * Creates multipart/form-data body
+ * @param {Object} fields - Field values; Buffers, streams and
+ *   { value, filename, contentType } objects become file parts
+ * @param {string} boundary - Part boundary
+ * @returns {{ body: Buffer|Readable, contentLength: number|null }} Encoded body
+ */
+function encodeMultipart(fields, boundary = generateBoundary()) {
+  const parts = [];
+
+  Object.keys(fields).forEach(name => {
+    const values = Array.isArray(fields[name]) ? fields[name] : [fields[name]];
+    values
+      .filter(value => value !== undefined && value !== null)
+      .forEach(value => parts.push(createPart(name, value, boundary)));
+  });
+
+  const closing = Buffer.from(`--${boundary}--\r\n`);
+  const chunks = [];
+  parts.forEach(part => chunks.push(part.head, part.content, Buffer.from('\r\n')));
+  chunks.push(closing);
+
+  if (!chunks.some(isStream)) {
+    const body = Buffer.concat(chunks);
+    return { body, contentLength: body.length };
+  }
+
+  const body = Readable.from((async function* () {
+    for (const chunk of chunks) {
+      if (isStream(chunk)) {
+        for await (const piece of chunk) {
+          yield typeof piece === 'string' ? Buffer.from(piece) : piece;
+        }
+      } else {
+        yield chunk;
+      }
+    }
+  })());
+
+  return { body, contentLength: null };
+}
+
+/**
+ * Creates head and content of a single multipart part
+ */
+function createPart(name, value, boundary) {
+  let content = value;
+  let filename = null;
+  let contentType = null;
+
+  if (value && typeof value === 'object' && 'value' in value && !isBinary(value) && !isStream(value)) {
+    content = value.value;
+    filename = value.filename || null;
+    contentType = value.contentType || null;
+  }
+
+  const isFile = filename !== null || isBinary(content) || isStream(content);
+  if (isFile) {
+    filename = filename || (content && content.path ? String(content.path).split(/[\\/]/).pop() : 'blob');
+    contentType = contentType || 'application/octet-stream';
+  }
+
+  let disposition = `form-data; name="${escapeQuotes(name)}"`;
+  if (filename !== null) {
+    disposition += `; filename="${escapeQuotes(filename)}"`;
+  }
+
+  let head = `--${boundary}\r\nContent-Disposition: ${disposition}\r\n`;
+  if (contentType) {
+    head += `Content-Type: ${contentType}\r\n`;
+  }
+  head += '\r\n';
+
+  if (!isStream(content) && !isBinary(content)) {
+    content = typeof content === 'object' ? JSON.stringify(content) : String(content);
+  }
+
+  return {
+    head: Buffer.from(head),
+    content: isStream(content) ? content : Buffer.from(content instanceof ArrayBuffer ? new Uint8Array(content) : content)
+  };
+}
+
+/**
+ * Escapes quotes and line breaks in header parameter
+ */
+function escapeQuotes(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Generates random multipart boundary
+ * @returns {string} Boundary
+ */
+function generateBoundary() {
+  return `----HttpClientBoundary${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Serializes request body according to content type
+ * @param {*} data - Body data
+ * @param {string} contentType - Content-Type header set by caller, if any
+ * @returns {{ body: *, contentType: string|null, contentLength: number|null }}
+ *   Serialized body with the content type and length to send
+ */
+function serializeBody(data, contentType = null) {
+  if (data === undefined || data === null) {
+    return { body: null, contentType, contentLength: null };
+  }
+
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (type === 'multipart/form-data') {
+    const boundary = generateBoundary();
+    const { body, contentLength } = encodeMultipart(data, boundary);
+    return { body, contentType: `multipart/form-data; boundary=${boundary}`, contentLength };
+  }
+
+  if (type === 'application/x-www-form-urlencoded' || (!type && data instanceof URLSearchParams)) {
+    const body = typeof data === 'string' ? data : encodeForm(data);
+    return { body, contentType: contentType || 'application/x-www-form-urlencoded', contentLength: Buffer.byteLength(body) };
+  }
+
+  if (type === 'application/x-ndjson' || type === 'application/ndjson') {
+    const body = typeof data === 'string' ? data : encodeNDJSON(data);
+    return { body, contentType, contentLength: Buffer.byteLength(body) };
+  }
+
+  if (isStream(data)) {
+    return { body: data, contentType: contentType || 'application/octet-stream', contentLength: null };
+  }
+
+  if (isBinary(data)) {
+    const body = data instanceof ArrayBuffer ? Buffer.from(data) : data;
+    return { body, contentType: contentType || 'application/octet-stream', contentLength: body.byteLength };
+  }
+
+  if (typeof data === 'string') {
+    return { body: data, contentType, contentLength: Buffer.byteLength(data) };
+  }
+
+  const body = JSON.stringify(data);
+  return { body, contentType: contentType || 'application/json', contentLength: Buffer.byteLength(body) };
+}
+
+module.exports = {
+  serializeBody,
+  encodeForm,
+  encodeNDJSON,
+  encodeMultipart,
+  generateBoundary,
+  isStream,
+  isBinary,
+  findHeader,
+  getHeader,
+  setHeader
+};
@@ -1,7 +1,70 @@
 // HTTP client and request builder
 
-class HttpClient {
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const fs = require('fs');
+const { Transform, pipeline } = require('stream');
+const { PromisePool, RetryPolicy, CircuitBreaker, Timeout } = require('./asyncUtils');
+const Cache = require('./cache');
+const EventEmitter = require('./eventEmitter');
+const { serializeBody, isStream, getHeader, setHeader } = require('./httpBody');
+const { appendQuery } = require('./queryString');
+const { EventSource } = require('./eventSource');
+
+class HttpError extends Error {
+  constructor(message, { config = null, response = null, elapsed = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.config = config;
+    this.response = response;
+    this.status = response ? response.status : null;
+    this.elapsed = elapsed;
+  }
+}
+
+class HttpClientError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpClientError';
+  }
+}
+
+class HttpServerError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpServerError';
+  }
+}
+
+class HttpNetworkError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'HttpNetworkError';
+    this.code = details.cause ? details.cause.code : undefined;
+    this.cause = details.cause;
+  }
+}
+
+class HttpAbortError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpAbortError';
+    this.timedOut = false;
+  }
+}
+
+class HttpTimeoutError extends HttpAbortError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpTimeoutError';
+    this.timedOut = true;
+  }
+}
+
+class HttpClient extends EventEmitter {
   constructor(baseURL = '', defaultOptions = {}) {
+    super();
     this.baseURL = baseURL;
     this.defaultOptions = defaultOptions;
     this.interceptors = {
@@ -9,9 +72,42 @@ class HttpClient {
       response: [],
       error: []
     };
-    this.timeout = defaultOptions.timeout || 30000;
+    this.timeout = defaultOptions.timeout !== undefined ? defaultOptions.timeout : 30000;
+    this.adapter = defaultOptions.adapter || new NodeHttpAdapter();
+    this.paramsSerializer = defaultOptions.paramsSerializer || {};
+    this.cookieJar = defaultOptions.cookieJar || null;
+    this.circuitBreakers = new Map();
+    this.maxRedirects = defaultOptions.maxRedirects !== undefined ? defaultOptions.maxRedirects : 5;
+    this.cache = defaultOptions.cache === true ? new Cache() : defaultOptions.cache || null;
+    this.revalidating = new Set();
+    this.inFlight = new Map();
+    this.performanceMonitor = defaultOptions.performanceMonitor || null;
+    this.errorTracker = defaultOptions.errorTracker || null;
+    this.validateStatus = defaultOptions.validateStatus !== undefined
+      ? defaultOptions.validateStatus
+      : status => status >= 200 && status < 300;
   }
 
+  // headers: null keys on every request header, so callers with different
+  // credentials (Authorization, Cookie, API keys) never share a response
+  static DEDUPE_DEFAULTS = {
+    methods: ['GET', 'HEAD'],
+    headers: null
+  };
+
+  static REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+  static RETRY_DEFAULTS = {
+    retries: 3,
+    delay: 1000,
+    backoff: 2,
+    maxDelay: 30000,
+    jitter: 0.2,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    networkErrors: true
+  };
+
   /**
    * Performs GET request
    */
@@ -26,7 +122,7 @@ class HttpClient {
     return this.request(url, {
       ...options,
       method: 'POST',
-      body: this._serializeBody(data)
+      data
     });
   }
 
@@ -37,7 +133,7 @@ class HttpClient {
     return this.request(url, {
       ...options,
       method: 'PUT',
-      body: this._serializeBody(data)
+      data
     });
   }
 
@@ -48,7 +144,7 @@ class HttpClient {
     return this.request(url, {
       ...options,
       method: 'PATCH',
-      body: this._serializeBody(data)
+      data
     });
   }
 
@@ -59,6 +155,29 @@ class HttpClient {
     return this.request(url, { ...options, method: 'DELETE' });
   }
 
+  /**
+   * Streams response body straight to a file
+   */
+  async download(url, destination, options = {}) {
+    const response = await this.request(url, { ...options, method: options.method || 'GET', responseType: 'stream' });
+
+    await new Promise((resolve, reject) => {
+      pipeline(response.data, fs.createWriteStream(destination), error => (error ? reject(error) : resolve()));
+    });
+
+    response.data = destination;
+    return response;
+  }
+
+  /**
+   * Opens Server-Sent Events stream
+   */
+  eventSource(url, options = {}) {
+    const source = new EventSource(this, url, options);
+    process.nextTick(() => source.connect());
+    return source;
+  }
+
   /**
    * Performs generic request
    */
@@ -67,6 +186,11 @@ class HttpClient {
       ...this.defaultOptions,
       ...options,
       url: this._getFullURL(url),
+      params: { ...this.defaultOptions.params, ...options.params },
+      paramsSerializer: options.paramsSerializer || this.paramsSerializer,
+      timeout: options.timeout !== undefined ? options.timeout : this.timeout,
+      adapter: options.adapter || this.adapter,
+      validateStatus: options.validateStatus !== undefined ? options.validateStatus : this.validateStatus,
       headers: {
         ...this.defaultOptions.headers,
         ...options.headers
@@ -79,8 +203,27 @@ class HttpClient {
       config = await interceptor(config);
     }
 
+    config = this._serializeBody(config);
+    if (!config.paramsApplied) {
+      config = { ...config, url: appendQuery(config.url, config.params, config.paramsSerializer) };
+    }
+
+    const startedAt = Date.now();
+    this.emit('request', config);
+
     try {
-      const response = await this._fetchRequest(config);
+      const response = await this._sendDeduped(config);
+
+      if (config.validateStatus && !config.validateStatus(response.status)) {
+        if (isStream(response.data)) {
+          response.data.destroy();
+        }
+        throw this._createStatusError(response, config);
+      }
+
+      const duration = Date.now() - startedAt;
+      this._recordMetrics(config, response.status, duration);
+      this.emit('response', { config, response, duration });
 
       // Apply response interceptors
       let result = response;
@@ -90,10 +233,21 @@ class HttpClient {
 
       return result;
     } catch (error) {
-      // Apply error interceptors
+      const duration = Date.now() - startedAt;
+      if (error instanceof HttpError && error.elapsed === null) {
+        error.elapsed = duration;
+      }
+
+      this._recordMetrics(config, error.status || 0, duration, error);
+      this.emit('error', { config, error, duration });
+
+      // Apply error interceptors; one may recover by returning a response
       let handledError = error;
       for (const interceptor of this.interceptors.error) {
         handledError = await interceptor(handledError);
+        if (handledError instanceof HttpResponse) {
+          return handledError;
+        }
       }
 
       throw handledError;
@@ -124,6 +278,30 @@ class HttpClient {
     return this;
   }
 
+  /**
+   * Sets transport adapter
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    return this;
+  }
+
+  /**
+   * Installs authentication provider
+   */
+  useAuth(provider) {
+    provider.attach(this);
+    return this;
+  }
+
+  /**
+   * Re-sends an already built request config; its URL already
+   * carries the query string, so params are not appended again
+   */
+  resend(config, overrides = {}) {
+    return this.request(config.url, { ...config, paramsApplied: true, ...overrides });
+  }
+
   /**
    * Creates request builder
    */
@@ -133,26 +311,80 @@ class HttpClient {
 
   /**
    * Performs batch requests
+   *
+   * Options: concurrency (max in flight), rateLimit (requests per second),
+   * settle (resolve with per-request outcomes instead of failing fast)
+   * and onProgress({ completed, failed, total }).
    */
-  async batch(requests) {
-    return Promise.all(
-      requests.map(({ method, url, data, options }) => {
-        const methodLower = method.toLowerCase();
-        if (methodLower === 'get' || methodLower === 'delete') {
-          return this[methodLower](url, options);
-        }
-        return this[methodLower](url, data, options);
-      })
-    );
+  async batch(requests, options = {}) {
+    const { concurrency = requests.length || 1, rateLimit = null, settle = false, onProgress = null } = options;
+    const acquire = rateLimit ? this._createRateLimiter(rateLimit) : null;
+    const progress = { completed: 0, failed: 0, total: requests.length };
+    let aborted = null;
+
+    const tasks = requests.map(({ method = 'GET', url, data, options: requestOptions }) => async () => {
+      // Without settle the batch has already rejected; don't start queued requests
+      if (aborted) throw aborted;
+      if (acquire) await acquire();
+      if (aborted) throw aborted;
+
+      const methodLower = method.toLowerCase();
+      const pending = methodLower === 'get' || methodLower === 'delete'
+        ? this[methodLower](url, requestOptions)
+        : this[methodLower](url, data, requestOptions);
+
+      try {
+        const response = await pending;
+        progress.completed++;
+        if (onProgress) onProgress({ ...progress });
+        return settle ? { status: 'fulfilled', value: response } : response;
+      } catch (error) {
+        progress.completed++;
+        progress.failed++;
+        if (onProgress) onProgress({ ...progress });
+        if (settle) return { status: 'rejected', reason: error };
+        aborted = aborted || error;
+        throw error;
+      }
+    });
+
+    return PromisePool.execute(tasks, concurrency);
+  }
+
+  /**
+   * Creates limiter spacing calls to at most `perSecond` per second
+   */
+  _createRateLimiter(perSecond) {
+    const interval = 1000 / perSecond;
+    let nextSlot = 0;
+
+    return () => {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+      return Timeout.delay(slot - now);
+    };
   }
 
   /**
    * Serializes body based on content type
    */
-  _serializeBody(data) {
-    if (!data) return null;
-    if (typeof data === 'string') return data;
-    return JSON.stringify(data);
+  _serializeBody(config) {
+    if (config.body !== undefined || config.data === undefined || config.data === null) {
+      return config;
+    }
+
+    let headers = { ...config.headers };
+    const { body, contentType, contentLength } = serializeBody(config.data, getHeader(headers, 'content-type') || null);
+
+    if (contentType) {
+      headers = setHeader(headers, 'Content-Type', contentType);
+    }
+    if (contentLength !== null && !getHeader(headers, 'content-length')) {
+      headers['Content-Length'] = contentLength;
+    }
+
+    return { ...config, headers, body };
   }
 
   /**
@@ -164,17 +396,776 @@ class HttpClient {
   }
 
   /**
-   * Fetches request (mock - in real use, would use fetch API)
+   * Shares one in-flight request between concurrent identical requests
+   */
+  async _sendDeduped(config) {
+    const dedupe = config.dedupe === true
+      ? HttpClient.DEDUPE_DEFAULTS
+      : config.dedupe && { ...HttpClient.DEDUPE_DEFAULTS, ...config.dedupe };
+    const method = (config.method || 'GET').toUpperCase();
+
+    if (!dedupe || !dedupe.methods.includes(method) || config.responseType === 'stream') {
+      return this._sendWithCache(config);
+    }
+
+    const key = this._getDedupeKey(config, method, dedupe.headers);
+    let shared = this.inFlight.get(key);
+    const isLeader = !shared;
+
+    if (isLeader) {
+      // Shared request must not be cancelled by any single caller
+      shared = this._sendWithCache({ ...config, signal: undefined });
+      this.inFlight.set(key, shared);
+      shared.then(() => this.inFlight.delete(key), () => this.inFlight.delete(key));
+    }
+
+    const response = await this._abortable(shared, config.signal, config);
+    if (isLeader) return response;
+
+    const copy = new HttpResponse(response.status, response.statusText, { ...response.headers }, response.data, config);
+    copy.deduplicated = true;
+    return copy;
+  }
+
+  /**
+   * Builds de-duplication key from method, URL, params and headers
+   * (all of them, or only headerNames when given)
+   */
+  _getDedupeKey(config, method, headerNames) {
+    const params = config.params || {};
+    const sortedParams = Object.keys(params).sort().map(name => [name, params[name]]);
+    const names = headerNames || Object.keys(config.headers || {});
+    const headers = names
+      .map(name => [name.toLowerCase(), getHeader(config.headers, name)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    return JSON.stringify([method, config.url, sortedParams, headers]);
+  }
+
+  /**
+   * Serves GET requests from the HTTP cache when possible,
+   * revalidating stale entries with ETag/Last-Modified
+   */
+  async _sendWithCache(config) {
+    const store = config.cache instanceof Cache ? config.cache : config.cache === false ? null : this.cache;
+    const method = (config.method || 'GET').toUpperCase();
+    const requestDirectives = this._parseCacheControl(getHeader(config.headers, 'cache-control'));
+
+    if (!store || method !== 'GET' || config.responseType === 'stream' || 'no-store' in requestDirectives) {
+      return this._sendWithRetry(config);
+    }
+
+    const baseKey = `${method} ${config.url}`;
+    const key = this._getCacheKey(store, baseKey, config);
+    const entry = 'no-cache' in requestDirectives ? undefined : store.get(key);
+
+    if (!entry) {
+      const response = await this._sendWithRetry(config);
+      this._storeResponse(store, baseKey, config, response);
+      return response;
+    }
+
+    const now = Date.now();
+    if (now < entry.expiresAt) {
+      return this._fromCache(entry, config);
+    }
+
+    if (now < entry.staleUntil) {
+      this._revalidateInBackground(store, baseKey, key, entry, config);
+      return this._fromCache(entry, config);
+    }
+
+    return this._revalidate(store, baseKey, key, entry, config);
+  }
+
+  /**
+   * Builds cache key from method, URL and the request headers
+   * named by the stored response's Vary header
+   */
+  _getCacheKey(store, baseKey, config) {
+    const vary = store.peek(`${baseKey} vary`) || [];
+    if (vary.length === 0) return baseKey;
+
+    const headers = this._getCacheHeaders(config);
+    const values = vary.map(name => getHeader(headers, name) || null);
+    return `${baseKey} ${JSON.stringify(values)}`;
+  }
+
+  /**
+   * Gets request headers that decide cacheability and Vary matching,
+   * including cookies the jar will add
+   */
+  _getCacheHeaders(config) {
+    return this._withCookies(config, this._getCookieJar(config)).headers || {};
+  }
+
+  /**
+   * Sends conditional request and refreshes cache entry
+   */
+  async _revalidate(store, baseKey, key, entry, config) {
+    const headers = { ...config.headers };
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    const response = await this._sendWithRetry({ ...config, headers });
+
+    if (response.status === 304) {
+      const refreshed = new HttpResponse(
+        entry.response.status,
+        entry.response.statusText,
+        { ...entry.response.headers, ...response.headers },
+        entry.response.data,
+        entry.response.config
+      );
+      if (!this._storeResponse(store, baseKey, config, refreshed)) {
+        store.delete(key);
+      }
+      return this._fromCache({ response: refreshed }, config);
+    }
+
+    if (!this._storeResponse(store, baseKey, config, response)) {
+      store.delete(key);
+    }
+    return response;
+  }
+
+  /**
+   * Revalidates entry without blocking caller (stale-while-revalidate)
+   */
+  _revalidateInBackground(store, baseKey, key, entry, config) {
+    if (this.revalidating.has(key)) return;
+
+    this.revalidating.add(key);
+    this._revalidate(store, baseKey, key, entry, { ...config, signal: undefined })
+      .catch(() => {})
+      .finally(() => this.revalidating.delete(key));
+  }
+
+  /**
+   * Stores cacheable response, returning whether it was stored
+   *
+   * Responses marked private or Vary: * are never stored. Requests with
+   * Authorization or Cookie headers are only cached when the response is
+   * explicitly shareable (public or s-maxage).
+   */
+  _storeResponse(store, baseKey, config, response) {
+    const directives = this._parseCacheControl(response.headers['cache-control']);
+    if (response.status !== 200 || 'no-store' in directives || 'private' in directives) return false;
+
+    const requestHeaders = this._getCacheHeaders(config);
+    const hasCredentials = getHeader(requestHeaders, 'authorization') ||
+      getHeader(requestHeaders, 'cookie');
+    if (hasCredentials && !('public' in directives) && directives['s-maxage'] === undefined) return false;
+
+    const vary = String(response.headers.vary || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (vary.includes('*')) return false;
+
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    let maxAge = 0;
+
+    if ('no-cache' in directives) {
+      maxAge = 0;
+    } else if (directives['max-age'] !== undefined) {
+      maxAge = Number(directives['max-age']) || 0;
+    } else if (response.headers.expires) {
+      const expires = Date.parse(response.headers.expires);
+      maxAge = Number.isNaN(expires) ? 0 : Math.max(0, (expires - Date.now()) / 1000);
+    }
+
+    const staleWhileRevalidate = Number(directives['stale-while-revalidate']) || 0;
+    if (maxAge + staleWhileRevalidate <= 0 && !etag && !lastModified) return false;
+
+    const now = Date.now();
+    const expiresAt = now + maxAge * 1000;
+    const staleUntil = expiresAt + staleWhileRevalidate * 1000;
+
+    // Entries with validators stay around for revalidation
+    const ttl = etag || lastModified ? null : staleUntil - now;
+
+    if (vary.length > 0) {
+      store.set(`${baseKey} vary`, vary, null);
+    } else {
+      store.delete(`${baseKey} vary`);
+    }
+
+    store.set(this._getCacheKey(store, baseKey, config), { response, expiresAt, staleUntil, etag, lastModified }, ttl);
+    return true;
+  }
+
+  /**
+   * Copies cached response for current request
+   */
+  _fromCache(entry, config) {
+    const { status, statusText, headers, data } = entry.response;
+    const response = new HttpResponse(status, statusText, { ...headers }, data, config);
+    response.fromCache = true;
+    return response;
+  }
+
+  /**
+   * Parses Cache-Control header into directives
+   */
+  _parseCacheControl(value) {
+    const directives = {};
+    if (!value) return directives;
+
+    String(value).split(',').forEach(part => {
+      const [name, arg] = part.trim().split('=');
+      if (name) {
+        directives[name.toLowerCase()] = arg === undefined ? true : arg.replace(/"/g, '');
+      }
+    });
+
+    return directives;
+  }
+
+  /**
+   * Sends request, retrying per the retry option
+   */
+  async _sendWithRetry(config) {
+    const retry = this._getRetryOptions(config.retry);
+    const method = (config.method || 'GET').toUpperCase();
+
+    // Stream bodies cannot be replayed
+    if (!retry || !retry.methods.includes(method) || isStream(config.body)) {
+      return this._followRedirects(config);
+    }
+
+    let attempts = 0;
+    const policy = new RetryPolicy(retry.retries, retry.delay, retry.backoff, {
+      maxDelay: retry.maxDelay,
+      jitter: retry.jitter,
+      shouldRetry: error => retry.networkErrors &&
+        (error instanceof HttpNetworkError || error instanceof HttpTimeoutError),
+      shouldRetryResult: response => retry.statusCodes.includes(response.status),
+      getDelay: ({ result }) => result ? this._parseRetryAfter(result) : null,
+      onRetry: ({ attempt, delay, error, result }) => {
+        this.emit('retry', { config, attempt, delay, error: error || null, response: result || null });
+      }
+    });
+
+    try {
+      const response = await this._abortable(policy.execute(attempt => {
+        attempts = attempt;
+        return this._followRedirects(config);
+      }), config.signal, config);
+      response.attempts = attempts;
+      return response;
+    } catch (error) {
+      error.attempts = attempts;
+      throw error;
+    }
+  }
+
+  /**
+   * Records duration in performance monitor and failure in error tracker
+   */
+  _recordMetrics(config, status, duration, error = null) {
+    if (!this.performanceMonitor && !this.errorTracker) return;
+
+    const method = (config.method || 'GET').toUpperCase();
+    const { host, pathname } = this._parseURL(config.url);
+    const route = config.route || this._routeTemplate(pathname);
+    const labels = { method, host, route, status };
+
+    if (this.performanceMonitor) {
+      this.performanceMonitor.record(`http ${method} ${host}${route}`, duration, 'ms', labels);
+    }
+    if (error && this.errorTracker) {
+      this.errorTracker.track(error, { ...labels, url: config.url, duration });
+    }
+  }
+
+  /**
+   * Parses URL for metric labels without throwing on invalid URLs
+   */
+  _parseURL(url) {
+    try {
+      return new URL(url);
+    } catch {
+      return { host: '', pathname: String(url).split(/[?#]/)[0] };
+    }
+  }
+
+  /**
+   * Replaces ID-like path segments with :id to group metrics by route
+   */
+  _routeTemplate(pathname) {
+    return pathname
+      .split('/')
+      .map(segment => (/^\d+$|^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$|^[0-9a-f]{24,}$/i.test(segment) ? ':id' : segment))
+      .join('/');
+  }
+
+  /**
+   * Creates error matching response status class
+   */
+  _createStatusError(response, config) {
+    const message = `Request failed with status ${response.status}`;
+    const details = { config, response };
+
+    if (response.status >= 500) return new HttpServerError(message, details);
+    if (response.status >= 400) return new HttpClientError(message, details);
+    return new HttpError(message, details);
+  }
+
+  /**
+   * Normalizes retry option (true, retry count or options object)
+   */
+  _getRetryOptions(retry) {
+    if (!retry) return null;
+    if (retry === true) return HttpClient.RETRY_DEFAULTS;
+    if (typeof retry === 'number') return { ...HttpClient.RETRY_DEFAULTS, retries: retry };
+    return { ...HttpClient.RETRY_DEFAULTS, ...retry };
+  }
+
+  /**
+   * Reads Retry-After header (seconds or HTTP date) in milliseconds
+   */
+  _parseRetryAfter(response) {
+    const value = response.headers && response.headers['retry-after'];
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+      return Number(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Sends request and follows redirects up to maxRedirects,
+   * exposing the chain as response.redirects
+   */
+  async _followRedirects(config) {
+    const maxRedirects = config.maxRedirects !== undefined ? config.maxRedirects : this.maxRedirects;
+    const redirects = [];
+    let current = config;
+
+    for (;;) {
+      const response = await this._fetchThroughBreaker(current);
+      const location = response.headers && response.headers.location;
+
+      if (!HttpClient.REDIRECT_STATUSES.includes(response.status) || !location || maxRedirects === 0) {
+        response.url = current.url;
+        response.redirects = redirects;
+        return response;
+      }
+
+      if (isStream(response.data)) {
+        response.data.destroy();
+      }
+
+      if (redirects.length >= maxRedirects) {
+        throw new HttpError(`Maximum redirects (${maxRedirects}) exceeded`, { config, response });
+      }
+
+      const nextURL = new URL(location, current.url).toString();
+      redirects.push({ url: current.url, status: response.status, location: nextURL });
+      current = this._redirectConfig(current, response.status, nextURL);
+    }
+  }
+
+  /**
+   * Builds config for next redirect hop
+   */
+  _redirectConfig(config, status, nextURL) {
+    const method = (config.method || 'GET').toUpperCase();
+    const headers = { ...config.headers };
+    let { body } = config;
+    let nextMethod = method;
+
+    // 303 always, and 301/302 for POST, switch to a bodiless GET
+    if ((status === 303 && method !== 'HEAD') || ((status === 301 || status === 302) && method === 'POST')) {
+      nextMethod = 'GET';
+      body = undefined;
+      Object.keys(headers)
+        .filter(name => /^content-(type|length)$/i.test(name))
+        .forEach(name => delete headers[name]);
+    } else if (isStream(body)) {
+      throw new HttpError('Cannot replay streamed request body on redirect', { config });
+    }
+
+    if (new URL(nextURL).origin !== new URL(config.url).origin) {
+      Object.keys(headers)
+        .filter(name => /^(authorization|proxy-authorization|cookie)$/i.test(name))
+        .forEach(name => delete headers[name]);
+    }
+
+    return { ...config, url: nextURL, method: nextMethod, headers, body };
+  }
+
+  /**
+   * Dispatches request through the circuit breaker for its host
+   */
+  _fetchThroughBreaker(config) {
+    const breaker = this.getCircuitBreaker(config.url, config.circuitBreaker);
+    if (!breaker) return this._fetchRequest(config);
+    return breaker.execute(() => this._fetchRequest(config));
+  }
+
+  /**
+   * Gets (creating on first use) circuit breaker for URL's host
+   */
+  getCircuitBreaker(url, options = this.defaultOptions.circuitBreaker) {
+    if (!options) return null;
+
+    const host = new URL(url).host;
+    if (!this.circuitBreakers.has(host)) {
+      const breaker = options instanceof CircuitBreaker
+        ? options
+        : new CircuitBreaker({
+          isFailure: error => !(error instanceof HttpAbortError) || error.timedOut,
+          isFailureResult: response => response.status >= 500,
+          ...(options === true ? {} : options)
+        });
+      this.circuitBreakers.set(host, breaker);
+    }
+
+    return this.circuitBreakers.get(host);
+  }
+
+  /**
+   * Dispatches request through the configured adapter, enforcing
+   * the caller's abort signal and the timeout on a single abort path
    */
   async _fetchRequest(config) {
-    return {
-      status: 200,
-      statusText: 'OK',
-      headers: {},
-      data: {},
-      config
+    const { adapter, signal, timeout } = config;
+    const controller = new AbortController();
+
+    if (signal && signal.aborted) {
+      throw new HttpAbortError('Request aborted', { config });
+    }
+
+    const onAbort = () => controller.abort(new HttpAbortError('Request aborted', { config }));
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const timer = timeout
+      ? setTimeout(() => {
+        controller.abort(new HttpTimeoutError(`Request timed out after ${timeout}ms`, { config }));
+      }, timeout)
+      : null;
+
+    const cookieJar = this._getCookieJar(config);
+    const attemptConfig = this._withCookies({ ...config, signal: controller.signal }, cookieJar);
+
+    let streaming = false;
+
+    try {
+      const pending = typeof adapter === 'function' ? adapter(attemptConfig) : adapter.send(attemptConfig);
+      const response = await this._abortable(pending, controller.signal, config);
+
+      if (cookieJar && response.headers) {
+        cookieJar.setCookies(response.headers['set-cookie'], config.url);
+      }
+
+      // Caller's signal keeps controlling a streamed body until it closes
+      if (isStream(response.data) && signal) {
+        streaming = true;
+        response.data.once('close', () => signal.removeEventListener('abort', onAbort));
+        controller.signal.addEventListener('abort', () => response.data.destroy(controller.signal.reason), { once: true });
+      }
+
+      return response;
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw new HttpNetworkError(error.message, { config, cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (signal && !streaming) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Resolves cookie jar for request (false disables the client's jar)
+   */
+  _getCookieJar(config) {
+    return config.cookieJar === false ? null : config.cookieJar || this.cookieJar;
+  }
+
+  /**
+   * Adds matching cookies from jar to request headers
+   */
+  _withCookies(config, cookieJar) {
+    if (!cookieJar) return config;
+
+    const cookies = cookieJar.getCookieHeader(config.url);
+    if (!cookies) return config;
+
+    const existing = getHeader(config.headers, 'cookie');
+    const headers = setHeader(config.headers, 'Cookie', existing ? `${existing}; ${cookies}` : cookies);
+
+    return { ...config, headers };
+  }
+
+  /**
+   * Rejects with HttpAbortError as soon as signal aborts
+   */
+  _abortable(promise, signal, config) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason instanceof HttpAbortError
+          ? signal.reason
+          : new HttpAbortError('Request aborted', { config }));
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      Promise.resolve(promise)
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
+
+/**
+ * Transport adapter built on Node's http/https modules
+ */
+class NodeHttpAdapter {
+  static UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+  /**
+   * Sends request, directly or through a proxy
+   */
+  async send(config) {
+    const target = new URL(config.url);
+    const proxy = this._getProxy(target, config.proxy);
+    const headers = { ...config.headers };
+    const options = { method: config.method || 'GET', headers };
+    let transport = target.protocol === 'https:' ? https : http;
+    let requestTarget = target;
+
+    if (proxy && target.protocol === 'https:') {
+      const socket = await this._openTunnel(proxy, target, config.signal);
+      options.createConnection = () => tls.connect({ socket, servername: target.hostname });
+    } else if (proxy) {
+      // Plain HTTP goes to the proxy with the absolute URL as request path
+      // Credentials go only in Proxy-Authorization; http.request would turn
+      // URL userinfo into an Authorization header forwarded to the origin
+      transport = proxy.protocol === 'https:' ? https : http;
+      requestTarget = new URL(proxy.href);
+      requestTarget.username = '';
+      requestTarget.password = '';
+      options.path = target.href;
+      headers.Host = target.host;
+      if (proxy.username) {
+        headers['Proxy-Authorization'] = this._proxyAuthorization(proxy);
+      }
+    }
+
+    return this._request(transport, requestTarget, options, config);
+  }
+
+  /**
+   * Resolves proxy from config or HTTP_PROXY/HTTPS_PROXY/NO_PROXY
+   */
+  _getProxy(target, proxy) {
+    if (proxy === false) return null;
+
+    if (proxy) {
+      if (typeof proxy === 'string') return new URL(proxy);
+
+      const url = new URL(`${proxy.protocol || 'http'}://${proxy.host}`);
+      if (proxy.port) url.port = proxy.port;
+      if (proxy.auth) {
+        url.username = encodeURIComponent(proxy.auth.username);
+        url.password = encodeURIComponent(proxy.auth.password || '');
+      }
+      return url;
+    }
+
+    const env = process.env;
+    const fromEnv = target.protocol === 'https:'
+      ? env.HTTPS_PROXY || env.https_proxy
+      : env.HTTP_PROXY || env.http_proxy;
+    if (!fromEnv || this._bypassProxy(target, env.NO_PROXY || env.no_proxy)) return null;
+
+    return new URL(fromEnv.includes('://') ? fromEnv : `http://${fromEnv}`);
+  }
+
+  /**
+   * Checks target host against NO_PROXY list
+   */
+  _bypassProxy(target, noProxy) {
+    if (!noProxy) return false;
+
+    const host = target.hostname.toLowerCase();
+    const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+
+    return noProxy.split(/[,\s]+/).filter(Boolean).some(rule => {
+      if (rule === '*') return true;
+
+      const [ruleHost, rulePort] = rule.toLowerCase().replace(/^\*/, '').split(':');
+      if (rulePort && rulePort !== port) return false;
+
+      const domain = ruleHost.replace(/^\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+  }
+
+  /**
+   * Opens CONNECT tunnel through proxy for HTTPS target
+   */
+  _openTunnel(proxy, target, signal) {
+    return new Promise((resolve, reject) => {
+      const headers = { Host: `${target.hostname}:${target.port || 443}` };
+      if (proxy.username) {
+        headers['Proxy-Authorization'] = this._proxyAuthorization(proxy);
+      }
+
+      const req = (proxy.protocol === 'https:' ? https : http).request({
+        host: proxy.hostname,
+        port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+        method: 'CONNECT',
+        path: headers.Host,
+        headers,
+        signal
+      });
+
+      req.on('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          reject(new Error(`Proxy CONNECT failed with status ${res.statusCode}`));
+          return;
+        }
+        resolve(socket);
+      });
+      req.on('error', error => reject(signal && signal.aborted ? signal.reason : error));
+      req.end();
+    });
+  }
+
+  /**
+   * Builds Proxy-Authorization header from proxy URL credentials
+   */
+  _proxyAuthorization(proxy) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  /**
+   * Performs request and reads response
+   */
+  _request(transport, target, options, config) {
+    return new Promise((resolve, reject) => {
+      const { headers } = options;
+      const body = config.body;
+
+      if (body != null && !isStream(body) && getHeader(headers, 'content-length') === undefined) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
+      const req = transport.request(target, options, res => {
+        const total = Number(res.headers['content-length']) || null;
+        const reportDownload = this._createProgressReporter(config.onDownloadProgress, total);
+
+        if (config.responseType === 'stream') {
+          const counter = new Transform({
+            transform(chunk, encoding, callback) {
+              reportDownload(chunk.length);
+              callback(null, chunk);
+            }
+          });
+          pipeline(res, counter, () => {});
+          resolve(new HttpResponse(res.statusCode, res.statusMessage, res.headers, counter, config));
+          return;
+        }
+
+        const chunks = [];
+
+        res.on('data', chunk => {
+          chunks.push(chunk);
+          reportDownload(chunk.length);
+        });
+        res.on('error', reject);
+        res.on('end', () => {
+          const data = this._decodeBody(Buffer.concat(chunks), res.headers['content-type']);
+          resolve(new HttpResponse(res.statusCode, res.statusMessage, res.headers, data, config));
+        });
+      });
+
+      if (config.signal) {
+        const onAbort = () => req.destroy(config.signal.reason);
+        config.signal.addEventListener('abort', onAbort, { once: true });
+        req.on('close', () => config.signal.removeEventListener('abort', onAbort));
+      }
+      req.on('error', reject);
+
+      const uploadTotal = Number(getHeader(headers, 'content-length')) || null;
+      const reportUpload = this._createProgressReporter(config.onUploadProgress, uploadTotal);
+
+      if (isStream(body)) {
+        body.on('data', chunk => reportUpload(chunk.length));
+        body.on('error', error => req.destroy(error));
+        body.pipe(req);
+        return;
+      }
+
+      if (body != null) {
+        const buffer = typeof body === 'string' ? Buffer.from(body) : body;
+        for (let offset = 0; offset < buffer.byteLength; offset += NodeHttpAdapter.UPLOAD_CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + NodeHttpAdapter.UPLOAD_CHUNK_SIZE);
+          req.write(chunk, () => reportUpload(chunk.byteLength));
+        }
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Creates callback reporting loaded/total bytes to progress handler
+   */
+  _createProgressReporter(handler, total) {
+    let loaded = 0;
+    if (!handler) return () => {};
+
+    return bytes => {
+      loaded += bytes;
+      handler({
+        loaded,
+        total,
+        progress: total ? loaded / total : null
+      });
     };
   }
+
+  /**
+   * Decodes raw response body based on content type
+   */
+  _decodeBody(raw, contentType = '') {
+    const type = contentType.toLowerCase();
+
+    if (/[/+]json\b/.test(type)) {
+      const text = raw.toString('utf8');
+      if (!text) return null;
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+
+    if (!type || type.startsWith('text/') || /xml|x-www-form-urlencoded/.test(type)) {
+      return raw.toString('utf8');
+    }
+
+    return raw;
+  }
 }
 
 /**
@@ -313,22 +1304,25 @@ class RequestBuilder {
   }
 
   /**
-   * Builds query string
+   * Sets abort signal
    */
-  _buildQueryString() {
-    const params = Object.entries(this.config.params)
-      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-      .join('&');
+  signal(signal) {
+    this.config.signal = signal;
+    return this;
+  }
 
-    return params ? `?${params}` : '';
+  /**
+   * Builds URL with query string using the client's params serializer
+   */
+  buildURL() {
+    return appendQuery(this.config.url || '', this.config.params, this.client.paramsSerializer);
   }
 
   /**
    * Sends request
    */
   async send() {
-    const url = this.config.url + this._buildQueryString();
-    return this.client.request(url, this.config);
+    return this.client.request(this.config.url, this.getConfig());
   }
 
   /**
@@ -343,11 +1337,12 @@ class RequestBuilder {
  * Response wrapper
  */
 class HttpResponse {
-  constructor(status, statusText, headers, data) {
+  constructor(status, statusText, headers, data, config = null) {
     this.status = status;
     this.statusText = statusText;
     this.headers = headers;
     this.data = data;
+    this.config = config;
   }
 
   /**
@@ -400,5 +1395,12 @@ class HttpResponse {
 module.exports = {
   HttpClient,
   RequestBuilder,
-  HttpResponse
+  HttpResponse,
+  HttpError,
+  HttpClientError,
+  HttpServerError,
+  HttpNetworkError,
+  HttpAbortError,
+  HttpTimeoutError,
+  NodeHttpAdapter
 };
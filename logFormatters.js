@@ -0,0 +1,257 @@
+// Log entry formatters shared by log handlers
+
+const MAX_DEPTH = 6;
+
+/**
+ * Serializes an Error with name, message, stack, own fields and cause
+ */
+function serializeError(error, seen = new WeakSet(), depth = 0) {
+  seen.add(error);
+
+  const result = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack
+  };
+
+  Object.keys(error).forEach(key => {
+    if (!(key in result)) {
+      result[key] = toSerializable(error[key], seen, depth + 1);
+    }
+  });
+
+  if (Array.isArray(error.errors) && !('errors' in result)) {
+    result.errors = toSerializable(error.errors, seen, depth + 1);
+  }
+
+  if (error.cause !== undefined) {
+    result.cause = toSerializable(error.cause, seen, depth + 1);
+  }
+
+  return result;
+}
+
+/**
+ * Converts a value into JSON-safe data, expanding errors and
+ * replacing circular references and overly deep values
+ */
+function toSerializable(value, seen = new WeakSet(), depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (typeof value !== 'object') return value;
+
+  if (seen.has(value)) return '[Circular]';
+  if (value instanceof Error) return serializeError(value, seen, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value.toJSON === 'function') return toSerializable(value.toJSON(), seen, depth);
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  seen.add(value);
+  let result;
+
+  if (Array.isArray(value)) {
+    result = value.map(item => toSerializable(item, seen, depth + 1));
+  } else if (value instanceof Map) {
+    result = toSerializable(Object.fromEntries(value), seen, depth);
+  } else if (value instanceof Set) {
+    result = toSerializable([...value], seen, depth);
+  } else {
+    result = {};
+    Object.keys(value).forEach(key => {
+      const item = toSerializable(value[key], seen, depth + 1);
+      if (item !== undefined) result[key] = item;
+    });
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Returns entry fields to print alongside the message: context first,
+ * then data (non-object data and errors are nested under a key)
+ */
+function getFields(logEntry) {
+  const fields = { ...toSerializable(logEntry.context || {}) };
+  const data = logEntry.data;
+
+  if (data === null || data === undefined) return fields;
+
+  if (data instanceof Error) {
+    fields.error = serializeError(data);
+  } else if (typeof data === 'object' && !Array.isArray(data)) {
+    Object.assign(fields, toSerializable(data));
+  } else {
+    fields.data = toSerializable(data);
+  }
+  return fields;
+}
+
+/**
+ * Flattens nested objects into dotted keys
+ */
+function flatten(object, prefix = '', result = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else if (value !== undefined) {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Base formatter
+ *
+ * Formatters turn an entry into a single string; handlers accept a
+ * formatter object or a plain (entry) => string function.
+ */
+class LogFormatter {
+  /**
+   * Formats log entry
+   */
+  format(logEntry) {
+    throw new Error('LogFormatter.format() must be implemented');
+  }
+}
+
+/**
+ * Single-line JSON formatter
+ */
+class JsonFormatter extends LogFormatter {
+  format(logEntry) {
+    return JSON.stringify(toSerializable(logEntry));
+  }
+}
+
+/**
+ * logfmt formatter: key=value pairs with nested fields flattened
+ */
+class LogfmtFormatter extends LogFormatter {
+  format(logEntry) {
+    const pairs = {
+      time: logEntry.timestamp,
+      level: logEntry.level,
+      logger: logEntry.name,
+      msg: logEntry.message,
+      ...flatten(getFields(logEntry))
+    };
+
+    return Object.entries(pairs)
+      .map(([key, value]) => `${key}=${LogfmtFormatter.quote(value)}`)
+      .join(' ');
+  }
+
+  /**
+   * Quotes value when it contains spaces, quotes, '=' or control characters
+   */
+  static quote(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text !== '' && !/[\s"=\\]/.test(text)) return text;
+
+    const escaped = text
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+  }
+}
+
+/**
+ * Human-readable formatter with aligned level and logger columns
+ *
+ * Stack traces are printed on their own lines, indented under the entry,
+ * with each error cause following its parent.
+ */
+class PrettyFormatter extends LogFormatter {
+  constructor(options = {}) {
+    super();
+    this.colorized = options.colorized || false;
+    this.nameWidth = options.nameWidth || 0;
+    this.indent = options.indent || '    ';
+  }
+
+  static COLORS = {
+    DEBUG: '\x1b[36m', // Cyan
+    INFO: '\x1b[32m',  // Green
+    WARN: '\x1b[33m',  // Yellow
+    ERROR: '\x1b[31m', // Red
+    FATAL: '\x1b[35m'  // Magenta
+  };
+
+  format(logEntry) {
+    // Widen the logger column to the longest name seen so far
+    this.nameWidth = Math.max(this.nameWidth, logEntry.name.length);
+
+    const level = this._colorize(logEntry.level, logEntry.level.padEnd(5));
+    const name = logEntry.name.padEnd(this.nameWidth);
+    const fields = getFields(logEntry);
+    const stacks = this._extractStacks(fields);
+
+    const pairs = Object.entries(flatten(fields))
+      .map(([key, value]) => `${key}=${LogfmtFormatter.quote(value)}`)
+      .join(' ');
+
+    const line = [logEntry.timestamp, level, name, logEntry.message, pairs]
+      .filter(part => part !== '')
+      .join('  ');
+
+    return [line, ...stacks].join('\n');
+  }
+
+  /**
+   * Removes stack traces from serialized errors and returns them
+   * as indented lines, following the cause chain
+   */
+  _extractStacks(fields) {
+    const lines = [];
+
+    const visit = (value, label) => {
+      if (!value || typeof value !== 'object') return;
+
+      if (typeof value.stack === 'string' && typeof value.message === 'string') {
+        const stack = value.stack;
+        delete value.stack;
+
+        stack.split('\n').forEach((text, index) => {
+          const prefix = index === 0 && label ? `${label}: ` : '';
+          lines.push(`${this.indent}${prefix}${text.trim() === text ? text : `  ${text.trim()}`}`);
+        });
+
+        if (value.cause) {
+          visit(value.cause, 'Caused by');
+        }
+        return;
+      }
+
+      Object.values(value).forEach(item => visit(item, null));
+    };
+
+    visit(fields, null);
+    return lines;
+  }
+
+  _colorize(level, text) {
+    if (!this.colorized) return text;
+
+    const reset = '\x1b[0m';
+    const color = PrettyFormatter.COLORS[level] || '';
+    return `${color}${text}${reset}`;
+  }
+}
+
+module.exports = {
+  LogFormatter,
+  JsonFormatter,
+  LogfmtFormatter,
+  PrettyFormatter,
+  serializeError,
+  toSerializable
+};
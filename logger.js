@@ -1,11 +1,18 @@
 // Logger and monitoring utilities
 
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { AsyncLocalStorage } = require('async_hooks');
+const { JsonFormatter, PrettyFormatter } = require('./logFormatters');
+
 class Logger {
-  constructor(name = 'App') {
+  constructor(name = 'App', options = {}) {
     this.name = name;
-    this.level = Logger.LEVELS.DEBUG;
+    this.parent = options.parent || null;
+    this.level = options.level !== undefined ? Logger.parseLevel(options.level) : null;
     this.handlers = [];
-    this.context = {};
+    this.context = { ...(options.context || {}) };
   }
 
   static LEVELS = {
@@ -25,13 +32,142 @@ class Logger {
   };
 
   /**
-   * Sets log level
+   * Ambient context for the current async call chain
+   */
+  static storage = new AsyncLocalStorage();
+
+  /**
+   * Runs fn with context merged over any enclosing ambient context;
+   * every entry logged from fn and its async continuations carries it
+   */
+  static runWithContext(context, fn) {
+    return Logger.storage.run({ ...Logger.getAmbientContext(), ...context }, fn);
+  }
+
+  /**
+   * Returns a copy of the current ambient context
+   */
+  static getAmbientContext() {
+    return { ...(Logger.storage.getStore() || {}) };
+  }
+
+  /**
+   * Level rules keyed by logger name prefix ('*' matches every logger)
+   */
+  static levelRules = null;
+
+  /**
+   * Converts a level name or number to its numeric value
+   */
+  static parseLevel(level) {
+    if (typeof level === 'number' && Logger.LEVEL_NAMES[level]) return level;
+    const value = Logger.LEVELS[String(level).trim().toUpperCase()];
+    if (value === undefined) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    return value;
+  }
+
+  /**
+   * Replaces the level rules, e.g. 'App.http=DEBUG,*=WARN' or { 'App.http': 'DEBUG' }.
+   * Invalid rules throw unless onInvalid is given, in which case they are
+   * skipped and passed to it.
+   */
+  static configureLevels(spec, onInvalid = null) {
+    const rules = new Map();
+    const entries = typeof spec === 'string'
+      ? spec.split(',').filter(part => part.trim()).map(part => {
+        const index = part.indexOf('=');
+        return index === -1 ? ['*', part] : [part.slice(0, index), part.slice(index + 1)];
+      })
+      : Object.entries(spec || {});
+
+    entries.forEach(([prefix, level]) => {
+      try {
+        rules.set(prefix.trim() || '*', Logger.parseLevel(level));
+      } catch (error) {
+        if (!onInvalid) throw error;
+        onInvalid(`${prefix}=${level}`, error);
+      }
+    });
+
+    Logger.levelRules = rules;
+    return rules;
+  }
+
+  /**
+   * Sets the level for every logger under a name prefix at runtime
+   */
+  static setLevelFor(prefix, level) {
+    const rules = Logger._getLevelRules();
+    if (level === null || level === undefined) {
+      rules.delete(prefix);
+    } else {
+      rules.set(prefix, Logger.parseLevel(level));
+    }
+    return rules;
+  }
+
+  /**
+   * Returns the level rules, loading LOG_LEVEL on first use; a bad
+   * LOG_LEVEL must not make logging throw, so invalid rules only warn
+   */
+  static _getLevelRules() {
+    if (!Logger.levelRules) {
+      Logger.configureLevels(process.env.LOG_LEVEL || '', (rule, error) => {
+        console.warn(`Ignoring LOG_LEVEL rule "${rule}": ${error.message}`);
+      });
+    }
+    return Logger.levelRules;
+  }
+
+  /**
+   * Sets log level (null to inherit from prefix rules and parent)
    */
   setLevel(level) {
-    this.level = level;
+    this.level = level === null ? null : Logger.parseLevel(level);
     return this;
   }
 
+  /**
+   * Resolves the level: own level, then the longest matching
+   * prefix rule, then the parent's level, then DEBUG
+   */
+  getEffectiveLevel() {
+    if (this.level !== null) return this.level;
+
+    let match = null;
+    for (const [prefix, level] of Logger._getLevelRules()) {
+      const matches = prefix === '*' ||
+        this.name === prefix ||
+        this.name.startsWith(`${prefix}.`);
+      if (!matches) continue;
+
+      const length = prefix === '*' ? 0 : prefix.length;
+      if (!match || length > match.length) {
+        match = { length, level };
+      }
+    }
+
+    if (match) return match.level;
+    return this.parent ? this.parent.getEffectiveLevel() : Logger.LEVELS.DEBUG;
+  }
+
+  /**
+   * Checks whether a level would be logged
+   */
+  isLevelEnabled(level) {
+    return Logger.parseLevel(level) >= this.getEffectiveLevel();
+  }
+
+  /**
+   * Creates a child logger named `${this.name}.${name}` that writes
+   * through this logger's handlers and layers its context over ours
+   */
+  child(name, context = {}) {
+    return new Logger(`${this.name}.${name}`, { parent: this, context });
+  }
+
   /**
    * Adds log handler
    */
@@ -48,6 +184,31 @@ class Logger {
     return this;
   }
 
+  /**
+   * Flushes all handlers
+   */
+  async flush() {
+    await Promise.all(this.handlers.map(handler =>
+      typeof handler.flush === 'function' ? handler.flush() : null
+    ));
+    return this;
+  }
+
+  /**
+   * Flushes and closes all handlers
+   */
+  async close() {
+    await Promise.all(this.handlers.map(async handler => {
+      try {
+        if (typeof handler.flush === 'function') await handler.flush();
+        if (typeof handler.close === 'function') await handler.close();
+      } catch (error) {
+        console.error('Handler close error:', error);
+      }
+    }));
+    return this;
+  }
+
   /**
    * Sets context
    */
@@ -56,6 +217,14 @@ class Logger {
     return this;
   }
 
+  /**
+   * Returns the context merged over every ancestor's context
+   */
+  getContext() {
+    const inherited = this.parent ? this.parent.getContext() : {};
+    return { ...inherited, ...this.context };
+  }
+
   /**
    * Logs debug message
    */
@@ -133,7 +302,7 @@ class Logger {
    * Internal log method
    */
   _log(level, message, data) {
-    if (level < this.level) return;
+    if (level < this.getEffectiveLevel()) return;
 
     const logEntry = {
       timestamp: new Date().toISOString(),
@@ -141,76 +310,279 @@ class Logger {
       name: this.name,
       message,
       data,
-      context: this.context
+      context: { ...this.getContext(), ...Logger.getAmbientContext() }
     };
 
-    this.handlers.forEach(handler => {
+    this._getHandlers().forEach(handler => {
       try {
-        handler(logEntry);
+        if (typeof handler === 'function') {
+          handler(logEntry);
+        } else {
+          handler.handle(logEntry);
+        }
       } catch (error) {
         console.error('Handler error:', error);
       }
     });
   }
+
+  /**
+   * Collects own handlers followed by each ancestor's handlers
+   */
+  _getHandlers() {
+    const handlers = this.parent ? this.parent._getHandlers() : [];
+    return [...this.handlers, ...handlers];
+  }
 }
 
 /**
- * Console handler
+ * Forwards ambient context values as HttpClient request headers
  */
-class ConsoleHandler {
-  constructor(colorized = true) {
-    this.colorized = colorized;
+class ContextPropagator {
+  constructor(headers = { traceId: 'X-Trace-Id', requestId: 'X-Request-Id' }) {
+    this.headers = headers;
   }
 
-  __call__(logEntry) {
-    const prefix = this._getPrefix(logEntry);
-    const message = `[${logEntry.timestamp}] ${prefix} ${logEntry.name}: ${logEntry.message}`;
+  /**
+   * Returns headers for the current ambient context
+   */
+  getHeaders() {
+    const context = Logger.getAmbientContext();
+    const result = {};
 
-    if (logEntry.data) {
-      console.log(message, logEntry.data);
-    } else {
-      console.log(message);
-    }
+    Object.entries(this.headers).forEach(([key, header]) => {
+      if (context[key] !== undefined && context[key] !== null) {
+        result[header] = String(context[key]);
+      }
+    });
+    return result;
   }
 
-  _getPrefix(logEntry) {
-    if (!this.colorized) return logEntry.level;
+  /**
+   * Adds context headers to requests, keeping headers set explicitly
+   */
+  attach(client) {
+    client.addRequestInterceptor(config => {
+      const headers = { ...config.headers };
+      const existing = Object.keys(headers).map(name => name.toLowerCase());
+
+      Object.entries(this.getHeaders()).forEach(([name, value]) => {
+        if (!existing.includes(name.toLowerCase())) {
+          headers[name] = value;
+        }
+      });
+      return { ...config, headers };
+    });
+    return this;
+  }
+}
 
-    const colors = {
-      DEBUG: '\x1b[36m', // Cyan
-      INFO: '\x1b[32m',  // Green
-      WARN: '\x1b[33m',  // Yellow
-      ERROR: '\x1b[31m', // Red
-      FATAL: '\x1b[35m'  // Magenta
-    };
+/**
+ * Base log handler
+ *
+ * Handlers receive entries through handle(entry); flush() and close()
+ * may return promises and are awaited by Logger.flush()/Logger.close().
+ * Plain functions are accepted by Logger as handlers too.
+ */
+class LogHandler {
+  constructor(options = {}) {
+    this.formatter = options.formatter || null;
+  }
 
-    const reset = '\x1b[0m';
-    const color = colors[logEntry.level] || '';
-    return `${color}${logEntry.level}${reset}`;
+  /**
+   * Handles log entry
+   */
+  handle(logEntry) {
+    throw new Error('LogHandler.handle() must be implemented');
+  }
+
+  /**
+   * Formats entry with a formatter object or function
+   */
+  format(logEntry) {
+    return typeof this.formatter === 'function'
+      ? this.formatter(logEntry)
+      : this.formatter.format(logEntry);
+  }
+
+  /**
+   * Writes out buffered entries
+   */
+  flush() {}
+
+  /**
+   * Releases resources
+   */
+  close() {}
+}
+
+/**
+ * Console handler, pretty-printed by default
+ */
+class ConsoleHandler extends LogHandler {
+  constructor(options = {}) {
+    // Accept the former boolean `colorized` argument
+    if (typeof options === 'boolean') options = { colorized: options };
+    super(options);
+    this.colorized = options.colorized !== false;
+    this.formatter = this.formatter || new PrettyFormatter({ colorized: this.colorized });
+  }
+
+  handle(logEntry) {
+    console.log(this.format(logEntry));
   }
 }
 
 /**
- * File handler (mock for Node.js)
+ * File handler writing formatted lines (NDJSON by default) with size and daily rotation
  */
-class FileHandler {
-  constructor(filename) {
+class FileHandler extends LogHandler {
+  constructor(filename, options = {}) {
+    super(options);
+    this.formatter = this.formatter || new JsonFormatter();
     this.filename = filename;
     this.buffer = [];
+    this.bufferSize = options.bufferSize || 10;
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.rotateDaily = options.rotateDaily !== false;
+    this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : 5;
+    this.compress = options.compress !== false;
+    this.size = null;
+    this.day = null;
+    this.pending = [];
+    this.writing = Promise.resolve();
+    this.closed = false;
+
+    this.timer = setInterval(() => this.flush(), options.flushInterval || 1000);
+    this.timer.unref();
+
+    this._flushOnExit = () => this.flushSync();
+    process.on('exit', this._flushOnExit);
   }
 
-  __call__(logEntry) {
-    const line = JSON.stringify(logEntry);
+  handle(logEntry) {
+    const line = this.format(logEntry);
     this.buffer.push(line);
 
-    if (this.buffer.length >= 10) {
+    if (this.buffer.length >= this.bufferSize) {
       this.flush();
     }
   }
 
+  /**
+   * Appends buffered lines to file without blocking
+   */
   flush() {
-    // In real implementation, write buffer to file
+    if (this.buffer.length === 0) return this.writing;
+
+    const lines = this.buffer;
+    this.buffer = [];
+    this.pending.push(...lines);
+
+    this.writing = this.writing
+      .then(() => this._write(lines))
+      .catch(error => console.error('FileHandler write error:', error))
+      .finally(() => {
+        this.pending.splice(0, lines.length);
+      });
+
+    return this.writing;
+  }
+
+  /**
+   * Writes buffered and in-flight lines synchronously (used on process exit)
+   */
+  flushSync() {
+    // Async writes cannot finish once the process is exiting, so lines
+    // still in flight are written again here rather than lost
+    const lines = this.pending.concat(this.buffer);
+    this.pending = [];
     this.buffer = [];
+    if (lines.length === 0) return;
+
+    try {
+      fs.appendFileSync(this.filename, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('FileHandler write error:', error);
+    }
+  }
+
+  /**
+   * Flushes remaining lines and stops timers
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    clearInterval(this.timer);
+    process.removeListener('exit', this._flushOnExit);
+    await this.flush();
+  }
+
+  /**
+   * Appends lines, rotating first when size or day limit is reached
+   */
+  async _write(lines) {
+    const data = lines.join('\n') + '\n';
+    const bytes = Buffer.byteLength(data);
+    const today = new Date().toISOString().slice(0, 10);
+
+    if (this.size === null) {
+      await this._loadFileState(today);
+    }
+
+    const dayChanged = this.rotateDaily && this.day !== today;
+    if (this.size > 0 && (dayChanged || this.size + bytes > this.maxSize)) {
+      await this._rotate();
+    }
+
+    await fs.promises.appendFile(this.filename, data);
+    this.size += bytes;
+    this.day = today;
+  }
+
+  /**
+   * Reads size and day of existing log file
+   */
+  async _loadFileState(today) {
+    try {
+      const stats = await fs.promises.stat(this.filename);
+      this.size = stats.size;
+      this.day = stats.mtime.toISOString().slice(0, 10);
+    } catch {
+      this.size = 0;
+      this.day = today;
+    }
+  }
+
+  /**
+   * Moves current file to first backup, shifting older backups
+   */
+  async _rotate() {
+    const extension = this.compress ? '.gz' : '';
+    const backup = index => `${this.filename}.${index}${extension}`;
+
+    if (this.maxFiles <= 0) {
+      await fs.promises.unlink(this.filename);
+    } else {
+      await fs.promises.rm(backup(this.maxFiles), { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        await fs.promises.rename(backup(i), backup(i + 1)).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+
+      if (this.compress) {
+        const rotated = `${this.filename}.rotating`;
+        await fs.promises.rename(this.filename, rotated);
+        await pipeline(fs.createReadStream(rotated), zlib.createGzip(), fs.createWriteStream(backup(1)));
+        await fs.promises.unlink(rotated);
+      } else {
+        await fs.promises.rename(this.filename, backup(1));
+      }
+    }
+
+    this.size = 0;
   }
 }
 
@@ -218,21 +590,35 @@ class FileHandler {
  * Performance monitor
  */
 class PerformanceMonitor {
-  constructor() {
+  constructor(options = {}) {
     this.metrics = new Map();
+    this.maxEntries = options.maxEntries || 1000;
   }
 
   /**
-   * Records metric
+   * Records metric, optionally with labels such as status
    */
-  record(name, value, unit = 'ms') {
+  record(name, value, unit = 'ms', labels = {}) {
     if (!this.metrics.has(name)) {
       this.metrics.set(name, []);
     }
-    this.metrics.get(name).push({ value, unit, timestamp: Date.now() });
+    const entries = this.metrics.get(name);
+    entries.push({ value, unit, labels, timestamp: Date.now() });
+
+    // Keep a rolling window so long-running processes don't grow unbounded
+    if (entries.length > this.maxEntries) {
+      entries.shift();
+    }
     return this;
   }
 
+  /**
+   * Gets raw entries for metric
+   */
+  getEntries(name) {
+    return [...(this.metrics.get(name) || [])];
+  }
+
   /**
    * Gets metric statistics
    */
@@ -342,6 +728,8 @@ class ErrorTracker {
 
 module.exports = {
   Logger,
+  ContextPropagator,
+  LogHandler,
   ConsoleHandler,
   FileHandler,
   PerformanceMonitor,
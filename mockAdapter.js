@@ -0,0 +1,280 @@
+// Mock transport adapter for HttpClient
+
+const { STATUS_CODES } = require('http');
+const { Readable } = require('stream');
+const { HttpResponse } = require('./httpClient');
+
+class MockRoute {
+  constructor(method, pattern) {
+    this.method = method ? method.toUpperCase() : null;
+    this.pattern = pattern;
+    this.handler = null;
+    this.error = null;
+    this.delayMs = 0;
+    this.remaining = Infinity;
+  }
+
+  /**
+   * Sets canned reply (status, data, headers) or handler function
+   */
+  reply(status, data = null, headers = {}) {
+    this.handler = typeof status === 'function' ? status : () => [status, data, headers];
+    this.error = null;
+    return this;
+  }
+
+  /**
+   * Sets reply used for a single request
+   */
+  replyOnce(status, data = null, headers = {}) {
+    this.times(1);
+    return this.reply(status, data, headers);
+  }
+
+  /**
+   * Simulates network error
+   */
+  networkError(code = 'ECONNREFUSED', message = 'Network Error') {
+    const error = new Error(message);
+    error.code = code;
+    this.error = error;
+    return this;
+  }
+
+  /**
+   * Simulates response delay
+   */
+  delay(ms) {
+    this.delayMs = ms;
+    return this;
+  }
+
+  /**
+   * Limits how many requests route handles
+   */
+  times(count) {
+    this.remaining = count;
+    return this;
+  }
+
+  /**
+   * Matches request against route, returning path params or null
+   */
+  match(method, url) {
+    if (this.remaining <= 0) return null;
+    if (this.method && this.method !== method) return null;
+
+    if (this.pattern instanceof RegExp) {
+      const result = this.pattern.exec(url);
+      return result ? { ...result.groups } : null;
+    }
+
+    if (this.pattern === undefined || this.pattern === '*') return {};
+
+    const parsed = new URL(url);
+    const target = this.pattern.startsWith('http')
+      ? parsed.origin + parsed.pathname
+      : parsed.pathname;
+
+    return this._matchPath(this.pattern, target);
+  }
+
+  /**
+   * Matches path pattern with :params and * wildcards
+   */
+  _matchPath(pattern, path) {
+    const names = [];
+    const source = pattern
+      .split(/(:\w+|\*)/)
+      .map(part => {
+        if (part === '*') return '.*';
+        if (part.startsWith(':')) {
+          names.push(part.slice(1));
+          return '([^/]+)';
+        }
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    const result = new RegExp(`^${source}$`).exec(path);
+    if (!result) return null;
+
+    return names.reduce((params, name, i) => {
+      params[name] = decodeURIComponent(result[i + 1]);
+      return params;
+    }, {});
+  }
+}
+
+class MockAdapter {
+  constructor(options = {}) {
+    this.routes = [];
+    this.calls = [];
+    this.delayMs = options.delay || 0;
+  }
+
+  /**
+   * Registers route for method and URL pattern
+   */
+  on(method, pattern) {
+    const route = new MockRoute(method, pattern);
+    this.routes.push(route);
+    return route;
+  }
+
+  /**
+   * Registers GET route
+   */
+  onGet(pattern) {
+    return this.on('GET', pattern);
+  }
+
+  /**
+   * Registers POST route
+   */
+  onPost(pattern) {
+    return this.on('POST', pattern);
+  }
+
+  /**
+   * Registers PUT route
+   */
+  onPut(pattern) {
+    return this.on('PUT', pattern);
+  }
+
+  /**
+   * Registers PATCH route
+   */
+  onPatch(pattern) {
+    return this.on('PATCH', pattern);
+  }
+
+  /**
+   * Registers DELETE route
+   */
+  onDelete(pattern) {
+    return this.on('DELETE', pattern);
+  }
+
+  /**
+   * Registers route for any method
+   */
+  onAny(pattern) {
+    return this.on(null, pattern);
+  }
+
+  /**
+   * Handles request from HttpClient
+   */
+  async send(config) {
+    const method = (config.method || 'GET').toUpperCase();
+
+    this.calls.push({
+      method,
+      url: config.url,
+      headers: { ...config.headers },
+      body: config.body,
+      config,
+      timestamp: Date.now()
+    });
+
+    let route = null;
+    let params = null;
+    for (const candidate of this.routes) {
+      params = candidate.match(method, config.url);
+      if (params) {
+        route = candidate;
+        break;
+      }
+    }
+
+    if (!route) {
+      throw new Error(`No mock route matched ${method} ${config.url}`);
+    }
+
+    route.remaining--;
+
+    const delay = route.delayMs || this.delayMs;
+    if (delay > 0) {
+      await this._sleep(delay, config.signal);
+    }
+
+    if (config.signal && config.signal.aborted) {
+      throw config.signal.reason;
+    }
+
+    if (route.error) {
+      throw route.error;
+    }
+
+    const result = await Promise.resolve(route.handler
+      ? route.handler({ ...config, pathParams: params })
+      : [200, null, {}]);
+
+    return this._toResponse(result, config);
+  }
+
+  /**
+   * Gets recorded calls, optionally filtered by method and URL pattern
+   */
+  getCalls(method = null, pattern = undefined) {
+    const route = new MockRoute(method, pattern);
+    return this.calls.filter(call => route.match(call.method, call.url));
+  }
+
+  /**
+   * Clears recorded calls
+   */
+  resetHistory() {
+    this.calls = [];
+    return this;
+  }
+
+  /**
+   * Clears routes and recorded calls
+   */
+  reset() {
+    this.routes = [];
+    return this.resetHistory();
+  }
+
+  /**
+   * Sleeps for duration, waking early if signal aborts
+   */
+  _sleep(ms, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Converts handler result to HttpResponse
+   */
+  _toResponse(result, config) {
+    if (result instanceof HttpResponse) {
+      result.config = result.config || config;
+      return result;
+    }
+
+    const [status, data = null, headers = {}] = result;
+    const normalized = {};
+    for (const name in headers) {
+      normalized[name.toLowerCase()] = headers[name];
+    }
+
+    const body = config.responseType === 'stream' && !(data instanceof Readable)
+      ? Readable.from(data === null ? [] : [typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data)])
+      : data;
+
+    return new HttpResponse(status, STATUS_CODES[status] || '', normalized, body, config);
+  }
+}
+
+module.exports = { MockAdapter, MockRoute };
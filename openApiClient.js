@@ -0,0 +1,442 @@
+// OpenAPI 3 client generation on top of HttpClient
+
+const fs = require('fs');
+const { HttpClient } = require('./httpClient');
+const { Schema, Validator, ValidationError } = require('./validator');
+const { stringify: stringifyQuery } = require('./queryString');
+const YAML = require('./yaml');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Schema accepting values that match any of several schemas (oneOf/anyOf),
+ * or any value at all when no schemas are given
+ */
+class UnionSchema extends Schema {
+  constructor(schemas, options = {}) {
+    super('union', options);
+    this.schemas = schemas;
+  }
+
+  /**
+   * Validates value against first matching schema
+   */
+  validate(value, path = '') {
+    if (value === undefined || value === null) {
+      return super.validate(value, path);
+    }
+    if (this.schemas.length === 0) return value;
+
+    for (const schema of this.schemas) {
+      try {
+        return schema.validate(value, path);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+      }
+    }
+
+    throw new ValidationError('Value does not match any allowed schema', path);
+  }
+}
+
+class OpenApiGenerator {
+  constructor(spec, options = {}) {
+    this.spec = typeof spec === 'string' ? OpenApiGenerator.parse(spec) : spec;
+    this.client = options.client || new HttpClient(options.baseURL || '');
+    this.baseURL = options.baseURL !== undefined
+      ? options.baseURL
+      : this.client.baseURL ? '' : this._getServerURL();
+    this.validateRequests = options.validateRequests !== false;
+    this.validateResponses = options.validateResponses !== false;
+    this.validator = new Validator();
+    this.builtSchemas = new Map();
+
+    if (!this.spec || !/^3\./.test(String(this.spec.openapi))) {
+      throw new Error('Only OpenAPI 3.x documents are supported');
+    }
+  }
+
+  /**
+   * Parses JSON or YAML document text
+   */
+  static parse(text) {
+    const trimmed = text.trim();
+    return trimmed.startsWith('{') ? JSON.parse(trimmed) : YAML.parse(trimmed);
+  }
+
+  /**
+   * Creates generator from JSON or YAML file
+   */
+  static fromFile(path, options = {}) {
+    return new OpenApiGenerator(fs.readFileSync(path, 'utf8'), options);
+  }
+
+  /**
+   * Generates client object with one method per operation
+   */
+  generate() {
+    const components = (this.spec.components && this.spec.components.schemas) || {};
+    for (const name of Object.keys(components)) {
+      this.validator.addSchema(name, this._buildSchema({ $ref: `#/components/schemas/${name}` }));
+    }
+
+    const api = {};
+    const operations = this.getOperations();
+
+    operations.forEach(operation => {
+      if (api[operation.name]) {
+        throw new Error(`Duplicate operation name: ${operation.name}`);
+      }
+      api[operation.name] = (args = {}, options = {}) => this._invoke(operation, args, options);
+    });
+
+    Object.defineProperties(api, {
+      operations: { value: operations },
+      validator: { value: this.validator },
+      client: { value: this.client }
+    });
+
+    return api;
+  }
+
+  /**
+   * Lists operations described in the document
+   */
+  getOperations() {
+    const operations = [];
+    const paths = this.spec.paths || {};
+
+    for (const path of Object.keys(paths)) {
+      const item = this._resolve(paths[path]);
+      const shared = (item.parameters || []).map(param => this._resolve(param));
+
+      HTTP_METHODS.filter(method => item[method]).forEach(method => {
+        const definition = item[method];
+        const parameters = new Map();
+
+        shared.concat((definition.parameters || []).map(param => this._resolve(param)))
+          .forEach(param => parameters.set(`${param.in}:${param.name}`, param));
+
+        operations.push({
+          name: definition.operationId || this._defaultOperationName(method, path),
+          method: method.toUpperCase(),
+          path,
+          parameters: Array.from(parameters.values()),
+          requestBody: definition.requestBody ? this._resolve(definition.requestBody) : null,
+          responses: definition.responses || {}
+        });
+      });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Sends request for operation
+   */
+  async _invoke(operation, args, options) {
+    let url = operation.path;
+    const params = {};
+    const headers = {};
+    const querySerializers = [];
+
+    for (const param of operation.parameters) {
+      let value = args[param.name];
+
+      if (value === undefined && param.schema && param.schema.default !== undefined) {
+        value = param.schema.default;
+      }
+      if (value === undefined || value === null) {
+        if (param.required) {
+          throw new ValidationError(`Missing required ${param.in} parameter "${param.name}"`, param.name);
+        }
+        continue;
+      }
+
+      if (this.validateRequests && param.schema) {
+        value = this._buildSchema(param.schema).validate(this._coerceParam(value, param.schema), param.name);
+      }
+
+      switch (param.in) {
+        case 'path':
+          url = url.replace(`{${param.name}}`, encodeURIComponent(
+            Array.isArray(value) ? value.join(',') : value
+          ));
+          break;
+        case 'query':
+          params[param.name] = value;
+          querySerializers.push(param);
+          break;
+        case 'header':
+          headers[param.name] = Array.isArray(value) ? value.join(',') : String(value);
+          break;
+        default:
+          break;
+      }
+    }
+
+    let data;
+    if (operation.requestBody) {
+      data = args.body;
+      const media = this._pickMediaType(operation.requestBody.content);
+
+      if (data === undefined && operation.requestBody.required) {
+        throw new ValidationError('Missing required request body', 'body');
+      }
+      if (data !== undefined && media) {
+        headers['Content-Type'] = media.type;
+        if (this.validateRequests && media.schema) {
+          data = this._buildSchema(media.schema).validate(data, 'body');
+        }
+      }
+    }
+
+    const response = await this.client.request(this.baseURL + url, {
+      ...options,
+      method: operation.method,
+      route: options.route || operation.path,
+      params: { ...options.params, ...params },
+      paramsSerializer: options.paramsSerializer || this._createParamsSerializer(querySerializers),
+      headers: { ...headers, ...options.headers },
+      data
+    });
+
+    if (this.validateResponses) {
+      const schema = this._getResponseSchema(operation, response);
+      if (schema && response.data !== undefined && typeof response.data === 'object') {
+        response.data = schema.validate(response.data, 'response');
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Creates query serializer honoring each parameter's style/explode
+   */
+  _createParamsSerializer(queryParams) {
+    const client = this.client;
+    const styles = new Map(queryParams.map(param => [param.name, param]));
+
+    return params => {
+      const parts = [];
+      const rest = {};
+
+      for (const name of Object.keys(params)) {
+        const param = styles.get(name);
+        const value = params[name];
+        const explode = param ? param.explode !== false : true;
+        const style = param ? param.style || 'form' : 'form';
+
+        if (Array.isArray(value) && !explode) {
+          parts.push(`${encodeURIComponent(name)}=${value.map(encodeURIComponent).join(style === 'pipeDelimited' ? '|' : style === 'spaceDelimited' ? '%20' : ',')}`);
+        } else if (value && typeof value === 'object' && !Array.isArray(value) && style !== 'deepObject' && explode) {
+          Object.assign(rest, value);
+        } else {
+          rest[name] = value;
+        }
+      }
+
+      const serializer = client.paramsSerializer;
+      const restQuery = typeof serializer === 'function'
+        ? serializer(rest)
+        : stringifyQuery(rest, { arrayFormat: 'repeat', ...serializer });
+
+      return [...parts, restQuery].filter(Boolean).join('&');
+    };
+  }
+
+  /**
+   * Coerces string parameter values to schema's scalar type
+   */
+  _coerceParam(value, schema) {
+    const resolved = this._resolve(schema);
+    if (typeof value !== 'string') return value;
+    if (resolved.type === 'integer' || resolved.type === 'number') {
+      const number = Number(value);
+      return Number.isNaN(number) ? value : number;
+    }
+    if (resolved.type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    return value;
+  }
+
+  /**
+   * Chooses JSON-compatible media type from content map
+   */
+  _pickMediaType(content = {}) {
+    const types = Object.keys(content);
+    const type = types.find(name => /[/+]json\b/.test(name)) || types[0];
+    return type ? { type, schema: content[type].schema || null } : null;
+  }
+
+  /**
+   * Gets schema for response status
+   */
+  _getResponseSchema(operation, response) {
+    const status = String(response.status);
+    const definition = operation.responses[status] ||
+      operation.responses[`${status[0]}XX`] ||
+      operation.responses.default;
+    if (!definition) return null;
+
+    const media = this._pickMediaType(this._resolve(definition).content);
+    return media && media.schema ? this._buildSchema(media.schema) : null;
+  }
+
+  /**
+   * Builds validator Schema from OpenAPI schema object
+   */
+  _buildSchema(definition, required = false) {
+    if (definition.$ref) {
+      // Cached before children are built, so recursive references resolve
+      const key = `${definition.$ref}|${required}`;
+      if (!this.builtSchemas.has(key)) {
+        this._createSchema(this._resolve(definition), required, key);
+      }
+      return this.builtSchemas.get(key);
+    }
+
+    return this._createSchema(definition, required, null);
+  }
+
+  /**
+   * Creates Schema for resolved definition, registering it under cacheKey
+   */
+  _createSchema(definition, required, cacheKey) {
+    const options = { required: required && !definition.nullable };
+    if (definition.default !== undefined) options.default = definition.default;
+
+    const register = schema => {
+      if (cacheKey) this.builtSchemas.set(cacheKey, schema);
+      return schema;
+    };
+
+    if (definition.oneOf || definition.anyOf) {
+      const schema = register(new UnionSchema([], options));
+      schema.schemas = (definition.oneOf || definition.anyOf).map(item => this._buildSchema(item));
+      return schema;
+    }
+
+    if (definition.allOf) {
+      const merged = definition.allOf.map(item => this._resolve(item)).reduce((result, item) => ({
+        ...result,
+        ...item,
+        properties: { ...result.properties, ...item.properties },
+        required: [...(result.required || []), ...(item.required || [])]
+      }), { type: 'object', properties: {}, required: [] });
+      return this._createSchema(merged, required, cacheKey);
+    }
+
+    const type = definition.type || (definition.properties ? 'object' : null);
+    let schema;
+
+    switch (type) {
+      case 'string':
+        schema = Schema.string(options);
+        if (definition.minLength !== undefined) schema.min(definition.minLength);
+        if (definition.maxLength !== undefined) schema.max(definition.maxLength);
+        if (definition.pattern) schema.pattern(new RegExp(definition.pattern));
+        break;
+      case 'integer':
+      case 'number':
+        schema = Schema.number(options);
+        if (definition.minimum !== undefined) schema.min(definition.minimum);
+        if (definition.maximum !== undefined) schema.max(definition.maximum);
+        if (type === 'integer') {
+          schema.custom(value => {
+            if (!Number.isInteger(value)) throw new ValidationError('Value must be an integer');
+          });
+        }
+        break;
+      case 'boolean':
+        schema = Schema.boolean(options);
+        break;
+      case 'array':
+        schema = register(Schema.array(null, options));
+        schema.itemSchema = definition.items ? this._buildSchema(definition.items) : null;
+        if (definition.minItems !== undefined || definition.maxItems !== undefined) {
+          schema.custom(value => {
+            if (definition.minItems !== undefined && value.length < definition.minItems) {
+              throw new ValidationError(`Array length must be >= ${definition.minItems}`);
+            }
+            if (definition.maxItems !== undefined && value.length > definition.maxItems) {
+              throw new ValidationError(`Array length must be <= ${definition.maxItems}`);
+            }
+          });
+        }
+        break;
+      case 'object': {
+        schema = register(Schema.object({}, options));
+        const requiredProps = new Set(definition.required || []);
+        for (const name of Object.keys(definition.properties || {})) {
+          schema.schemaObject[name] = this._buildSchema(definition.properties[name], requiredProps.has(name));
+        }
+        break;
+      }
+      default:
+        schema = new UnionSchema([], options);
+        break;
+    }
+
+    if (definition.enum) {
+      const values = definition.nullable ? definition.enum.filter(value => value !== null) : definition.enum;
+      schema.enum(...values);
+    }
+
+    return register(schema);
+  }
+
+  /**
+   * Resolves local $ref pointer
+   */
+  _resolve(node) {
+    let current = node;
+    const seen = new Set();
+
+    while (current && current.$ref) {
+      if (seen.has(current.$ref)) throw new Error(`Circular reference: ${current.$ref}`);
+      seen.add(current.$ref);
+
+      if (!current.$ref.startsWith('#/')) {
+        throw new Error(`Only local references are supported: ${current.$ref}`);
+      }
+
+      current = current.$ref.slice(2).split('/').reduce((target, segment) => {
+        const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!target || !(key in target)) throw new Error(`Unresolved reference: ${node.$ref}`);
+        return target[key];
+      }, this.spec);
+    }
+
+    return current;
+  }
+
+  /**
+   * Gets first server URL
+   */
+  _getServerURL() {
+    const server = this.spec && this.spec.servers && this.spec.servers[0];
+    if (!server) return '';
+
+    return server.url.replace(/\{(\w+)\}/g, (match, name) => {
+      const variable = server.variables && server.variables[name];
+      return variable ? variable.default : match;
+    }).replace(/\/$/, '');
+  }
+
+  /**
+   * Derives method name from HTTP method and path
+   */
+  _defaultOperationName(method, path) {
+    const words = path
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.replace(/[{}]/g, '').replace(/[^a-zA-Z0-9]+(.)?/g, (_, char) => (char ? char.toUpperCase() : '')))
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+    return method + words.join('');
+  }
+}
+
+module.exports = { OpenApiGenerator, UnionSchema };
@@ -0,0 +1,212 @@
+// Query string serialization and parsing
+
+const ARRAY_FORMATS = ['repeat', 'brackets', 'comma'];
+
+// Path segments that would write through to Object.prototype
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Encodes key, keeping bracket notation readable
+ * @param {string} key - Key to encode
+ * @returns {string} Encoded key
+ */
+function encodeKey(key) {
+  return encodeURIComponent(key).replace(/%5B/gi, '[').replace(/%5D/gi, ']');
+}
+
+/**
+ * Converts scalar to string for the query
+ * @param {*} value - Value to convert
+ * @returns {string} String value
+ */
+function toQueryValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === null) return '';
+  return String(value);
+}
+
+/**
+ * Checks if value should be expanded with bracket notation
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Serializes params into a query string (without leading "?")
+ * @param {Object} params - Params, may contain nested objects and arrays
+ * @param {Object} options - arrayFormat ('repeat', 'brackets', 'comma') and skipNulls
+ * @returns {string} Query string
+ */
+function stringify(params, options = {}) {
+  const { arrayFormat = 'repeat', skipNulls = true } = options;
+  if (!ARRAY_FORMATS.includes(arrayFormat)) {
+    throw new Error(`Unknown array format: ${arrayFormat}`);
+  }
+
+  const pairs = [];
+
+  const add = (key, value) => {
+    if (value === undefined || (value === null && skipNulls)) return;
+
+    if (Array.isArray(value)) {
+      const items = value.filter(item => item !== undefined && !(item === null && skipNulls));
+
+      if (items.some(item => isPlainObject(item) || Array.isArray(item))) {
+        items.forEach((item, i) => add(`${key}[${i}]`, item));
+      } else if (arrayFormat === 'comma') {
+        if (items.length > 0) {
+          pairs.push(`${encodeKey(key)}=${items.map(item => encodeURIComponent(toQueryValue(item))).join(',')}`);
+        }
+      } else {
+        const itemKey = arrayFormat === 'brackets' ? `${key}[]` : key;
+        items.forEach(item => pairs.push(`${encodeKey(itemKey)}=${encodeURIComponent(toQueryValue(item))}`));
+      }
+      return;
+    }
+
+    if (isPlainObject(value)) {
+      Object.keys(value).forEach(childKey => add(`${key}[${childKey}]`, value[childKey]));
+      return;
+    }
+
+    pairs.push(`${encodeKey(key)}=${encodeURIComponent(toQueryValue(value))}`);
+  };
+
+  Object.keys(params).forEach(key => add(key, params[key]));
+
+  return pairs.join('&');
+}
+
+/**
+ * Decodes query component, keeping malformed escapes as raw text
+ * @param {string} text - Encoded component
+ * @returns {string} Decoded text
+ */
+function decode(text) {
+  const spaced = text.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(spaced);
+  } catch {
+    return spaced;
+  }
+}
+
+/**
+ * Parses query string back into params
+ * @param {string} query - Query string, with or without leading "?"
+ * @param {Object} options - arrayFormat used when serializing
+ * @returns {Object} Params
+ */
+function parse(query, options = {}) {
+  const { arrayFormat = 'repeat' } = options;
+  const result = {};
+  const source = String(query || '').replace(/^\?/, '');
+
+  if (!source) return result;
+
+  source.split('&').forEach(pair => {
+    if (!pair) return;
+
+    const index = pair.indexOf('=');
+    const rawKey = index === -1 ? pair : pair.slice(0, index);
+    const rawValue = index === -1 ? '' : pair.slice(index + 1);
+    const value = arrayFormat === 'comma' && rawValue.includes(',')
+      ? rawValue.split(',').map(decode)
+      : decode(rawValue);
+
+    const path = parseKey(decode(rawKey));
+    if (path.some(segment => UNSAFE_KEYS.includes(segment))) return;
+
+    assign(result, path, value);
+  });
+
+  return result;
+}
+
+/**
+ * Splits "a[b][]" into ["a", "b", ""]
+ * @param {string} key - Bracketed key
+ * @returns {Array} Path segments
+ */
+function parseKey(key) {
+  const match = /^([^[]*)((?:\[[^\]]*\])*)$/.exec(key);
+  if (!match || !match[2]) return [key];
+
+  const segments = [match[1]];
+  match[2].replace(/\[([^\]]*)\]/g, (_, segment) => segments.push(segment));
+  return segments;
+}
+
+/**
+ * Assigns value into target following path segments
+ * @param {Object} target - Object to assign into
+ * @param {Array} path - Path segments
+ * @param {*} value - Value to assign
+ */
+function assign(target, path, value) {
+  let current = target;
+
+  for (let i = 0; i < path.length; i++) {
+    const segment = path[i];
+    const isLast = i === path.length - 1;
+
+    if (Array.isArray(current) && segment === '') {
+      if (isLast) {
+        current.push(...(Array.isArray(value) ? value : [value]));
+        return;
+      }
+      current.push({});
+      current = current[current.length - 1];
+      continue;
+    }
+
+    const exists = Object.prototype.hasOwnProperty.call(current, segment);
+
+    if (isLast) {
+      if (!exists) {
+        current[segment] = value;
+      } else if (Array.isArray(current[segment])) {
+        current[segment].push(...(Array.isArray(value) ? value : [value]));
+      } else {
+        current[segment] = [current[segment]].concat(value);
+      }
+      return;
+    }
+
+    if (!exists) {
+      const next = path[i + 1];
+      current[segment] = next === '' || /^\d+$/.test(next) ? [] : {};
+    }
+    current = current[segment];
+  }
+}
+
+/**
+ * Appends params to URL, respecting an existing query string and hash
+ * @param {string} url - Base URL
+ * @param {Object} params - Params to append
+ * @param {Object|Function} serializer - stringify options or custom function
+ * @returns {string} URL with query string
+ */
+function appendQuery(url, params, serializer = {}) {
+  if (!params || Object.keys(params).length === 0) return url;
+
+  const query = typeof serializer === 'function' ? serializer(params) : stringify(params, serializer);
+  if (!query) return url;
+
+  const hashIndex = url.indexOf('#');
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const separator = !base.includes('?') ? '?' : /[?&]$/.test(base) ? '' : '&';
+
+  return `${base}${separator}${query}${hash}`;
+}
+
+module.exports = {
+  stringify,
+  parse,
+  appendQuery
+};
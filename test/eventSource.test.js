@@ -0,0 +1,102 @@
+// Server-Sent Events tests: parser and reconnects against a local server
+// Run with: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { HttpClient } = require('../httpClient');
+const { EventStreamParser } = require('../eventSource');
+
+/**
+ * Creates parser collecting events and retry values
+ */
+function createParser() {
+  const events = [];
+  const retries = [];
+  const parser = new EventStreamParser(event => events.push(event), delay => retries.push(delay));
+  return { parser, events, retries };
+}
+
+describe('EventStreamParser', () => {
+  test('handles CRLF split across chunks', () => {
+    const { parser, events } = createParser();
+
+    parser.feed('data: a\r');
+    parser.feed('\n\r');
+    parser.feed('\ndata: b\r\n\r\n');
+
+    assert.deepEqual(events.map(event => event.data), ['a', 'b']);
+  });
+
+  test('joins multi-line data with newlines', () => {
+    const { parser, events } = createParser();
+
+    parser.feed('data: one\ndata: two\ndata\n\n');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].data, 'one\ntwo\n');
+    assert.equal(events[0].type, 'message');
+  });
+
+  test('reads event, id and retry fields and skips comments', () => {
+    const { parser, events, retries } = createParser();
+
+    parser.feed(': keep-alive\nevent: update\nid: 7\nretry: 1500\ndata: x\n\n');
+    parser.feed('data: y\n\n');
+    parser.feed('retry: soon\n\n');
+
+    assert.deepEqual(retries, [1500]);
+    assert.deepEqual(events, [
+      { type: 'update', data: 'x', lastEventId: '7' },
+      { type: 'message', data: 'y', lastEventId: '7' }
+    ]);
+  });
+
+  test('does not dispatch events without data', () => {
+    const { parser, events } = createParser();
+
+    parser.feed('event: ping\n\n');
+
+    assert.equal(events.length, 0);
+  });
+});
+
+describe('HttpClient.eventSource', () => {
+  test('reconnects with Last-Event-ID against a local server', async () => {
+    const lastEventIds = [];
+    const server = http.createServer((req, res) => {
+      lastEventIds.push(req.headers['last-event-id'] || null);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+      if (lastEventIds.length === 1) {
+        // First connection ends after one event; retry shortens the reconnect delay
+        res.end('retry: 10\nid: 1\ndata: first\n\n');
+      } else {
+        res.write('id: 2\ndata: second\n\n');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const client = new HttpClient(`http://127.0.0.1:${server.address().port}`);
+    const source = client.eventSource('/events');
+    const messages = [];
+
+    try {
+      await new Promise((resolve, reject) => {
+        source.on('error', reject);
+        source.on('message', event => {
+          messages.push(event);
+          if (messages.length === 2) resolve();
+        });
+      });
+    } finally {
+      source.close();
+      server.closeAllConnections();
+      server.close();
+    }
+
+    assert.deepEqual(messages.map(event => event.data), ['first', 'second']);
+    assert.deepEqual(lastEventIds, [null, '1']);
+    assert.equal(source.lastEventId, '2');
+  });
+});
@@ -0,0 +1,128 @@
+// HttpClient tests against a local http.createServer stand-in
+// Run with: node --test
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const { HttpClient, HttpResponse, HttpAbortError } = require('../httpClient');
+
+/**
+ * Starts a server on a random port, resolving with its base URL
+ */
+function startServer(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, baseURL: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+describe('HttpClient over http', () => {
+  let server;
+  let client;
+  let baseURL;
+
+  before(async () => {
+    const started = await startServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/json') {
+          res.setHeader('Content-Type', 'application/json; charset=utf-8');
+          res.end(JSON.stringify({ method: req.method, body }));
+        } else if (req.url === '/text') {
+          res.setHeader('Content-Type', 'text/plain');
+          res.end('hello');
+        } else if (req.url === '/big') {
+          const payload = Buffer.alloc(100000, 'x');
+          res.setHeader('Content-Length', payload.length);
+          res.end(payload);
+        } else if (req.url === '/slow') {
+          setTimeout(() => res.end('late'), 500);
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+    });
+    server = started.server;
+    baseURL = started.baseURL;
+    client = new HttpClient(baseURL);
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test('decodes JSON responses into an HttpResponse', async () => {
+    const response = await client.get('/json');
+
+    assert.ok(response instanceof HttpResponse);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.data, { method: 'GET', body: '' });
+  });
+
+  test('decodes text responses as strings', async () => {
+    const response = await client.get('/text');
+
+    assert.equal(response.data, 'hello');
+    assert.equal(response.headers['content-type'], 'text/plain');
+  });
+
+  test('sends JSON bodies', async () => {
+    const response = await client.post('/json', { a: 1 });
+
+    assert.deepEqual(response.data, { method: 'POST', body: '{"a":1}' });
+  });
+
+  test('returns a Readable for responseType: stream and reports progress', async () => {
+    const progress = [];
+    const response = await client.get('/big', {
+      responseType: 'stream',
+      onDownloadProgress: event => progress.push(event)
+    });
+
+    assert.ok(response.data instanceof Readable);
+
+    let length = 0;
+    for await (const chunk of response.data) {
+      length += chunk.length;
+    }
+
+    assert.equal(length, 100000);
+    assert.ok(progress.length > 0);
+    assert.deepEqual(progress[progress.length - 1], { loaded: 100000, total: 100000, progress: 1 });
+  });
+
+  test('rejects with a timed-out HttpAbortError when the timeout elapses', async () => {
+    await assert.rejects(client.get('/slow', { timeout: 50 }), error => {
+      assert.ok(error instanceof HttpAbortError);
+      assert.equal(error.timedOut, true);
+      assert.match(error.message, /timed out/);
+      return true;
+    });
+  });
+
+  test('timeout: 0 disables the client default', async () => {
+    const impatient = new HttpClient(baseURL, { timeout: 50 });
+    const response = await impatient.get('/slow', { timeout: 0 });
+
+    assert.equal(response.data, 'late');
+  });
+
+  test('cancels in-flight requests through an AbortSignal', async () => {
+    const controller = new AbortController();
+    const pending = client.builder().url('/slow').signal(controller.signal).send();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(pending, error => {
+      assert.ok(error instanceof HttpAbortError);
+      assert.equal(error.timedOut, false);
+      return true;
+    });
+  });
+});
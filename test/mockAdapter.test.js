@@ -0,0 +1,73 @@
+// MockAdapter tests
+// Run with: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HttpClient } = require('../httpClient');
+const { MockAdapter } = require('../mockAdapter');
+
+describe('MockAdapter', () => {
+  test('serves canned responses by method and URL pattern', async () => {
+    const mock = new MockAdapter();
+    mock.onGet('/users/:id').reply(config => [200, { id: config.pathParams.id }]);
+    mock.onPost('/users').reply(201, { created: true }, { 'X-Id': '7' });
+
+    const client = new HttpClient('http://api.test', { adapter: mock });
+    const user = await client.get('/users/42');
+    const created = await client.post('/users', { name: 'a' });
+
+    assert.deepEqual(user.data, { id: '42' });
+    assert.equal(created.status, 201);
+    assert.equal(created.getHeader('x-id'), '7');
+  });
+
+  test('records the calls it received', async () => {
+    const mock = new MockAdapter();
+    mock.onAny('*').reply(200);
+
+    const client = new HttpClient('http://api.test', { adapter: mock });
+    await client.get('/a', { headers: { Accept: 'text/plain' } });
+    await client.post('/b', { x: 1 });
+
+    assert.equal(mock.calls.length, 2);
+    assert.equal(mock.calls[0].method, 'GET');
+    assert.equal(mock.calls[0].url, 'http://api.test/a');
+    assert.equal(mock.calls[0].headers.Accept, 'text/plain');
+    assert.equal(mock.calls[1].body, '{"x":1}');
+    assert.equal(mock.getCalls('POST', '/b').length, 1);
+
+    mock.resetHistory();
+    assert.equal(mock.calls.length, 0);
+  });
+
+  test('replyOnce routes fall through after one use', async () => {
+    const mock = new MockAdapter();
+    mock.onGet('/flaky').replyOnce(200, 'first');
+    mock.onGet('/flaky').reply(200, 'second');
+
+    const client = new HttpClient('', { adapter: mock });
+
+    assert.equal((await client.get('http://api.test/flaky')).data, 'first');
+    assert.equal((await client.get('http://api.test/flaky')).data, 'second');
+  });
+
+  test('simulates network errors and unmatched routes', async () => {
+    const mock = new MockAdapter();
+    mock.onGet('/down').networkError('ECONNRESET', 'socket hang up');
+
+    const client = new HttpClient('http://api.test', { adapter: mock });
+
+    await assert.rejects(client.get('/down'), /socket hang up/);
+    await assert.rejects(client.get('/missing'), /No mock route matched GET/);
+  });
+
+  test('can be chosen per request', async () => {
+    const mock = new MockAdapter();
+    mock.onGet('/only-here').reply(200, 'mocked');
+
+    const client = new HttpClient('http://api.test');
+    const response = await client.get('/only-here', { adapter: mock });
+
+    assert.equal(response.data, 'mocked');
+  });
+});
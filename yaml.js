@@ -0,0 +1,503 @@
+// Minimal YAML parser covering the block/flow subset used by config and API documents
+
+class YAMLParseError extends Error {
+  constructor(message, line = null) {
+    super(line === null ? message : `${message} (line ${line})`);
+    this.name = 'YAMLParseError';
+    this.line = line;
+  }
+}
+
+class YAMLParser {
+  constructor(text) {
+    this.lines = String(text)
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map((raw, i) => {
+        const content = YAMLParser.stripComment(raw).trimEnd();
+        const trimmed = content.trimStart();
+        return {
+          raw,
+          number: i + 1,
+          indent: content.length - trimmed.length,
+          content: trimmed,
+          skip: trimmed === '' || trimmed === '---' || trimmed.startsWith('%')
+        };
+      });
+    this.index = 0;
+    this.anchors = new Map();
+  }
+
+  /**
+   * Parses YAML text into a value
+   */
+  static parse(text) {
+    const parser = new YAMLParser(text);
+    parser._skipEmpty();
+    if (parser._done()) return null;
+
+    const value = parser._parseBlock(parser._current().indent);
+    parser._skipEmpty();
+    if (!parser._done() && parser._current().content !== '...') {
+      throw new YAMLParseError('Unexpected content', parser._current().number);
+    }
+    return value;
+  }
+
+  /**
+   * Removes trailing comment outside of quotes
+   */
+  static stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+        return line.slice(0, i);
+      }
+    }
+    return line;
+  }
+
+  /**
+   * Parses mapping or sequence at indent
+   */
+  _parseBlock(indent) {
+    const line = this._current();
+    if (this._isSequenceItem(line.content)) {
+      return this._parseSequence(indent);
+    }
+    return this._parseMapping(indent);
+  }
+
+  /**
+   * Parses block mapping
+   */
+  _parseMapping(indent) {
+    const result = {};
+
+    while (!this._done()) {
+      const line = this._current();
+      if (line.indent < indent) break;
+      if (line.indent > indent) throw new YAMLParseError('Bad indentation', line.number);
+      if (this._isSequenceItem(line.content)) break;
+
+      const separator = this._findKeySeparator(line.content);
+      if (separator === -1) throw new YAMLParseError('Expected key: value', line.number);
+
+      const key = this._parseKey(line.content.slice(0, separator).trim(), line.number);
+      const rest = line.content.slice(separator + 1).trim();
+      this.index++;
+
+      setKey(result, key, this._parseValue(rest, indent, line));
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses block sequence
+   */
+  _parseSequence(indent) {
+    const result = [];
+
+    while (!this._done()) {
+      const line = this._current();
+      if (line.indent !== indent || !this._isSequenceItem(line.content)) break;
+
+      const rest = line.content.slice(1).trimStart();
+      if (rest !== '' && (this._findKeySeparator(rest) !== -1 || this._isSequenceItem(rest))) {
+        // Inline mapping or sequence after the dash continues as a nested block
+        line.indent = indent + (line.content.length - rest.length);
+        line.content = rest;
+        result.push(this._parseBlock(line.indent));
+        continue;
+      }
+
+      this.index++;
+      result.push(this._parseValue(rest, indent, line));
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses value after "key:" or "-"
+   */
+  _parseValue(rest, indent, line) {
+    const anchor = /^&([^\s[\]{},]+)(?:\s+|$)/.exec(rest);
+    if (anchor) {
+      const value = this._parseValue(rest.slice(anchor[0].length), indent, line);
+      this.anchors.set(anchor[1], value);
+      return value;
+    }
+
+    if (rest.startsWith('*')) {
+      return resolveAlias(this.anchors, rest.slice(1), line.number);
+    }
+
+    if (rest.startsWith('!')) {
+      throw new YAMLParseError('Unsupported YAML feature: tags', line.number);
+    }
+
+    if (/^[|>][+-]?\d*$/.test(rest)) {
+      return this._parseBlockScalar(rest, indent);
+    }
+
+    if (rest.startsWith('[') || rest.startsWith('{')) {
+      return new FlowParser(rest, line.number, this.anchors).parse();
+    }
+
+    if (rest !== '') {
+      return parseScalarToken(this._foldContinuation(rest, indent), line.number);
+    }
+
+    this._skipEmpty();
+    if (this._done()) return null;
+
+    const next = this._current();
+    if (next.indent > indent) {
+      return this._parseBlock(next.indent);
+    }
+    if (next.indent === indent && this._isSequenceItem(next.content) && !this._isSequenceItem(line.content)) {
+      return this._parseSequence(indent);
+    }
+    return null;
+  }
+
+  /**
+   * Parses literal (|) or folded (>) block scalar
+   */
+  _parseBlockScalar(header, parentIndent) {
+    const folded = header[0] === '>';
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const lines = [];
+    let blockIndent = null;
+
+    while (this.index < this.lines.length) {
+      const { raw } = this.lines[this.index];
+      const indent = raw.length - raw.trimStart().length;
+
+      if (raw.trim() !== '') {
+        if (indent <= parentIndent) break;
+        if (blockIndent === null) blockIndent = indent;
+        if (indent < blockIndent) break;
+      }
+
+      lines.push(raw.trim() === '' ? '' : raw.slice(blockIndent));
+      this.index++;
+    }
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    let text = folded
+      ? lines.reduce((out, current, i) => {
+        if (i === 0) return current;
+        if (current === '' || lines[i - 1] === '') return `${out}\n${current}`;
+        return `${out} ${current}`;
+      }, '')
+      : lines.join('\n');
+
+    if (chomp === 'clip' && lines.length > 0) text += '\n';
+    if (chomp === 'keep') text += '\n'.repeat(trailing + 1);
+    return text;
+  }
+
+  /**
+   * Joins more-indented lines continuing a scalar, folding single line
+   * breaks into spaces and keeping one newline per blank line
+   */
+  _foldContinuation(text, indent) {
+    const plain = !text.startsWith('"') && !text.startsWith("'");
+    let folded = text;
+    let blanks = 0;
+
+    for (let next = this.index; next < this.lines.length; next++) {
+      const line = this.lines[next];
+      if (line.raw.trim() === '') {
+        blanks++;
+        continue;
+      }
+      if (line.skip || line.indent <= indent) break;
+      if (plain && this._findKeySeparator(line.content) !== -1) {
+        throw new YAMLParseError('Bad indentation', line.number);
+      }
+
+      folded += blanks > 0 ? '\n'.repeat(blanks) : ' ';
+      folded += line.content;
+      blanks = 0;
+      this.index = next + 1;
+    }
+
+    return folded;
+  }
+
+  /**
+   * Parses mapping key, unquoting if needed
+   */
+  _parseKey(text, lineNumber) {
+    if (text === '<<') {
+      throw new YAMLParseError('Unsupported YAML feature: merge keys', lineNumber);
+    }
+    if (/^[&*!]/.test(text)) {
+      throw new YAMLParseError('Unsupported YAML feature: anchors, aliases or tags on keys', lineNumber);
+    }
+    if ((text.startsWith('"') && text.endsWith('"')) || (text.startsWith("'") && text.endsWith("'"))) {
+      return parseScalarToken(text);
+    }
+    return text;
+  }
+
+  /**
+   * Finds ":" separating key and value outside of quotes
+   */
+  _findKeySeparator(content) {
+    let quote = null;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if ((char === '"' || char === "'") && i === 0) {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        if (i === 0) return -1;
+      } else if (char === ':' && (i === content.length - 1 || content[i + 1] === ' ')) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Checks if content starts a sequence item
+   */
+  _isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  /**
+   * Advances past blank and comment lines
+   */
+  _skipEmpty() {
+    while (this.index < this.lines.length && this.lines[this.index].skip) {
+      this.index++;
+    }
+  }
+
+  /**
+   * Gets current structural line
+   */
+  _current() {
+    this._skipEmpty();
+    return this.lines[this.index];
+  }
+
+  /**
+   * Checks if all lines are consumed
+   */
+  _done() {
+    this._skipEmpty();
+    return this.index >= this.lines.length;
+  }
+}
+
+/**
+ * Parser for single-line flow collections such as [a, b] and {a: 1}
+ */
+class FlowParser {
+  constructor(text, lineNumber, anchors = new Map()) {
+    this.text = text;
+    this.pos = 0;
+    this.lineNumber = lineNumber;
+    this.anchors = anchors;
+  }
+
+  /**
+   * Parses the whole text as one flow value
+   */
+  parse() {
+    const value = this._parseValue();
+    this._skipSpaces();
+    if (this.pos < this.text.length) {
+      throw new YAMLParseError('Unexpected characters after flow collection', this.lineNumber);
+    }
+    return value;
+  }
+
+  /**
+   * Parses flow value
+   */
+  _parseValue() {
+    this._skipSpaces();
+    const char = this.text[this.pos];
+
+    if (char === '[') return this._parseCollection(']', []);
+    if (char === '{') return this._parseCollection('}', {});
+
+    if (char === '&') {
+      const name = this._readName();
+      const value = this._parseValue();
+      this.anchors.set(name, value);
+      return value;
+    }
+    if (char === '*') {
+      return resolveAlias(this.anchors, this._readName(), this.lineNumber);
+    }
+    if (char === '!') {
+      throw new YAMLParseError('Unsupported YAML feature: tags', this.lineNumber);
+    }
+
+    if (char === '"' || char === "'") {
+      const start = this.pos;
+      this.pos++;
+      while (this.pos < this.text.length && this.text[this.pos] !== char) {
+        if (char === '"' && this.text[this.pos] === '\\') this.pos++;
+        if (char === "'" && this.text[this.pos] === "'" && this.text[this.pos + 1] === "'") this.pos++;
+        this.pos++;
+      }
+      this.pos++;
+      return parseScalarToken(this.text.slice(start, this.pos), this.lineNumber);
+    }
+
+    const start = this.pos;
+    while (this.pos < this.text.length && !/[,\]}]/.test(this.text[this.pos]) &&
+      !(this.text[this.pos] === ':' && /[\s,\]}]/.test(this.text[this.pos + 1] || ' '))) {
+      this.pos++;
+    }
+    return parseScalarToken(this.text.slice(start, this.pos).trim(), this.lineNumber);
+  }
+
+  /**
+   * Parses [..] or {..} collection
+   */
+  _parseCollection(close, result) {
+    this.pos++;
+
+    for (;;) {
+      this._skipSpaces();
+      if (this.text[this.pos] === close) {
+        this.pos++;
+        return result;
+      }
+
+      const value = this._parseValue();
+      this._skipSpaces();
+
+      if (Array.isArray(result)) {
+        result.push(value);
+      } else {
+        if (this.text[this.pos] !== ':') {
+          throw new YAMLParseError('Expected ":" in flow mapping', this.lineNumber);
+        }
+        this.pos++;
+        setKey(result, String(value), this._parseValue());
+        this._skipSpaces();
+      }
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== close) {
+        throw new YAMLParseError(`Expected "," or "${close}"`, this.lineNumber);
+      }
+    }
+  }
+
+  /**
+   * Reads anchor or alias name after its & or * indicator
+   */
+  _readName() {
+    const start = ++this.pos;
+    while (this.pos < this.text.length && !/[\s,[\]{}]/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+    if (this.pos === start) {
+      throw new YAMLParseError('Expected anchor or alias name', this.lineNumber);
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  /**
+   * Skips whitespace
+   */
+  _skipSpaces() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+}
+
+/**
+ * Sets own key, so "__proto__" stays data instead of replacing the prototype
+ * @param {Object} target - Mapping being built
+ * @param {string} key - Mapping key
+ * @param {*} value - Parsed value
+ */
+function setKey(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Gets value stored for anchor name
+ * @param {Map} anchors - Anchors defined so far
+ * @param {string} name - Alias name without "*"
+ * @param {number} lineNumber - Line for error messages
+ * @returns {*} Anchored value
+ */
+function resolveAlias(anchors, name, lineNumber) {
+  if (!anchors.has(name)) {
+    throw new YAMLParseError(`Unknown alias "*${name}"`, lineNumber);
+  }
+  return anchors.get(name);
+}
+
+/**
+ * Converts plain or quoted scalar token to value
+ * @param {string} token - Scalar text
+ * @param {number} lineNumber - Line for error messages
+ * @returns {*} Parsed value
+ */
+function parseScalarToken(token, lineNumber = null) {
+  if (token.startsWith('"')) {
+    try {
+      return JSON.parse(token);
+    } catch {
+      throw new YAMLParseError('Invalid double-quoted string', lineNumber);
+    }
+  }
+
+  if (token.startsWith("'")) {
+    if (!token.endsWith("'") || token.length < 2) {
+      throw new YAMLParseError('Unterminated single-quoted string', lineNumber);
+    }
+    return token.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (token === '' || token === '~' || /^null$/i.test(token)) return null;
+  if (/^(true|false)$/i.test(token)) return token.toLowerCase() === 'true';
+  if (/^[-+]?\d+$/.test(token)) return Number(token);
+  if (/^0x[\da-f]+$/i.test(token)) return parseInt(token, 16);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)(e[-+]?\d+)?$/i.test(token)) return Number(token);
+  if (/^[-+]?\.inf$/i.test(token)) return token.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.nan$/i.test(token)) return NaN;
+
+  return token;
+}
+
+/**
+ * Parses YAML text
+ * @param {string} text - YAML document
+ * @returns {*} Parsed value
+ */
+function parse(text) {
+  return YAMLParser.parse(text);
+}
+
+module.exports = { parse, YAMLParser, YAMLParseError };